@@ -175,18 +175,19 @@ const AudioManager = (function() {
      * Speak text using Web Speech API
      * @param {string} text - Text to speak
      * @param {number} rate - Speech rate (0.1-10)
+     * @param {string} [lang='en-US'] - BCP 47 language of the text
      */
-    function speak(text, rate = 1) {
+    function speak(text, rate = 1, lang = 'en-US') {
         if ('speechSynthesis' in window) {
             const utterance = new SpeechSynthesisUtterance(text);
             utterance.rate = rate;
             utterance.pitch = 1.1;
-            utterance.lang = 'en-US';
+            utterance.lang = lang;
             
             // Try to use a friendly voice
             const voices = window.speechSynthesis.getVoices();
             const friendlyVoice = voices.find(voice => 
-                voice.lang.startsWith('en') && 
+                voice.lang.startsWith(lang.split('-')[0]) && 
                 (voice.name.includes('Female') || voice.name.includes('Samantha'))
             );
             if (friendlyVoice) {
@@ -197,6 +198,15 @@ const AudioManager = (function() {
         }
     }
 
+    /**
+     * Stop any speech in progress or queued
+     */
+    function stopSpeaking() {
+        if ('speechSynthesis' in window) {
+            window.speechSynthesis.cancel();
+        }
+    }
+
     // Public API
     return {
         init,
@@ -208,7 +218,8 @@ const AudioManager = (function() {
         playVictory,
         playStreak,
         playTimerWarning,
-        speak
+        speak,
+        stopSpeaking
     };
 })();
 
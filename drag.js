@@ -0,0 +1,142 @@
+/**
+ * Kinetic English Games – Drag Module
+ * Pointer-based drag and drop that works with mouse, pen and touch
+ *
+ * @module DragSort
+ */
+
+const DragSort = (function() {
+    'use strict';
+
+    /** Pointer travel in pixels before a press becomes a drag */
+    const DRAG_THRESHOLD = 6;
+
+    /**
+     * The drag in progress
+     * @type {{item: HTMLElement, options: Object, pointerId: number,
+     *         startX: number, startY: number, moved: boolean, over: HTMLElement|null}|null}
+     */
+    let current = null;
+
+    /**
+     * Drop target under a point, ignoring the dragged item itself
+     * @param {number} x
+     * @param {number} y
+     * @param {string} targetSelector
+     * @returns {HTMLElement|null}
+     */
+    function findTarget(x, y, targetSelector) {
+        const element = document.elementFromPoint(x, y);
+        return element ? element.closest(targetSelector) : null;
+    }
+
+    /**
+     * Highlight the drop target under the pointer
+     * @param {HTMLElement|null} target
+     */
+    function setOver(target) {
+        if (current.over === target) return;
+        if (current.over) current.over.classList.remove('drag-over');
+        if (target) target.classList.add('drag-over');
+        current.over = target;
+    }
+
+    /**
+     * Put the dragged item back and forget the drag
+     */
+    function reset() {
+        const { item } = current;
+        setOver(null);
+        item.classList.remove('dragging');
+        item.style.transform = '';
+        item.style.pointerEvents = '';
+        current = null;
+    }
+
+    /**
+     * @param {PointerEvent} e
+     */
+    function handlePointerMove(e) {
+        if (!current || e.pointerId !== current.pointerId) return;
+
+        const dx = e.clientX - current.startX;
+        const dy = e.clientY - current.startY;
+        if (!current.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+
+        if (!current.moved) {
+            current.moved = true;
+            current.item.classList.add('dragging');
+            // Let elementFromPoint see what is under the dragged item
+            current.item.style.pointerEvents = 'none';
+        }
+        current.item.style.transform = `translate(${dx}px, ${dy}px)`;
+        setOver(findTarget(e.clientX, e.clientY, current.options.targetSelector));
+    }
+
+    /**
+     * @param {PointerEvent} e
+     */
+    function handlePointerUp(e) {
+        if (!current || e.pointerId !== current.pointerId) return;
+
+        const { item, options, moved } = current;
+        const target = moved ? findTarget(e.clientX, e.clientY, options.targetSelector) : null;
+        reset();
+
+        if (moved) {
+            // The click that follows a drag must not also select the item
+            item.addEventListener('click', swallowClick, { capture: true, once: true });
+            setTimeout(() => item.removeEventListener('click', swallowClick, { capture: true }), 0);
+        }
+        if (target) {
+            options.onDrop(item, target);
+        }
+    }
+
+    /**
+     * @param {Event} e
+     */
+    function swallowClick(e) {
+        e.stopImmediatePropagation();
+        e.preventDefault();
+    }
+
+    /**
+     * Make an element draggable onto drop targets
+     * @param {HTMLElement} item
+     * @param {Object} options
+     * @param {string} options.targetSelector - Selector matching drop targets
+     * @param {function(HTMLElement, HTMLElement): void} options.onDrop - Called with the item and the target
+     */
+    function makeDraggable(item, options) {
+        item.addEventListener('pointerdown', (e) => {
+            if (current || item.disabled || (e.pointerType === 'mouse' && e.button !== 0)) return;
+
+            current = {
+                item,
+                options,
+                pointerId: e.pointerId,
+                startX: e.clientX,
+                startY: e.clientY,
+                moved: false,
+                over: null
+            };
+            if (item.setPointerCapture) item.setPointerCapture(e.pointerId);
+        });
+        item.addEventListener('pointermove', handlePointerMove);
+        item.addEventListener('pointerup', handlePointerUp);
+        item.addEventListener('pointercancel', (e) => {
+            if (current && e.pointerId === current.pointerId) reset();
+        });
+    }
+
+    // Public API
+    return {
+        makeDraggable
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DragSort;
+}
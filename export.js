@@ -0,0 +1,130 @@
+/**
+ * Kinetic English Games – Export Module
+ * CSV and JSON export of recorded rounds for gradebooks
+ *
+ * @module ResultsExport
+ */
+
+const ResultsExport = (function() {
+    'use strict';
+
+    /** CSV columns: header and value getter for one question of a round */
+    const CSV_COLUMNS = [
+        ['Learner', (round, q, learner) => learner ? learner.name : ''],
+        ['Date', round => round.completedAt],
+        ['Round Code', round => round.roundCode],
+        ['Score', round => round.score],
+        ['Accuracy (%)', round => round.accuracy],
+        ['Round Correct', round => round.correct],
+        ['Round Total', round => round.totalQuestions],
+        ['Question', (round, q) => q.number],
+        ['Type', (round, q) => q.type],
+        ['Difficulty', (round, q) => q.difficulty],
+        ['Target Shape', (round, q) => (q.target || {}).shape || ''],
+        ['Target Color', (round, q) => (q.target || {}).color || ''],
+        ['Target Size', (round, q) => (q.target || {}).size || ''],
+        ['Prompt', (round, q) => q.question],
+        ['Answer', (round, q) => q.timedOut ? '' : q.answer],
+        ['Correct Answer', (round, q) => q.correctAnswer],
+        ['Correct', (round, q) => q.correct ? 'yes' : 'no'],
+        ['Timed Out', (round, q) => q.timedOut ? 'yes' : 'no'],
+        ['Time (s)', (round, q) => (q.responseTime / 1000).toFixed(1)]
+    ];
+
+    /**
+     * Escape one CSV field. Text that a spreadsheet would run
+     * as a formula (=, +, -, @) is prefixed with an apostrophe.
+     * @param {*} value
+     * @returns {string}
+     */
+    function escapeCSV(value) {
+        let text = value === undefined || value === null ? '' : String(value);
+        if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Build CSV with one row per answered question
+     * @param {Object[]} rounds - Rounds from LearnerProfiles.getRounds
+     * @param {Object[]} learners - Learners from LearnerProfiles.getLearners
+     * @returns {string}
+     */
+    function toCSV(rounds, learners) {
+        const rows = [CSV_COLUMNS.map(([header]) => header)];
+
+        rounds.forEach(round => {
+            const learner = learners.find(l => l.id === round.learnerId);
+            (round.questions || []).forEach(question => {
+                rows.push(CSV_COLUMNS.map(([, getValue]) => getValue(round, question, learner)));
+            });
+        });
+
+        return rows.map(row => row.map(escapeCSV).join(',')).join('\r\n');
+    }
+
+    /**
+     * Build JSON with learners and their full round records
+     * @param {Object[]} rounds
+     * @param {Object[]} learners
+     * @returns {string}
+     */
+    function toJSON(rounds, learners) {
+        const learnerIds = new Set(rounds.map(round => round.learnerId));
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            learners: learners.filter(learner => learnerIds.has(learner.id)),
+            rounds
+        }, null, 2);
+    }
+
+    /**
+     * Offer text to the user as a file download
+     * @param {string} filename
+     * @param {string} content
+     * @param {string} mimeType
+     */
+    function download(filename, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Export rounds as a CSV or JSON download
+     * @param {'csv'|'json'} format
+     * @param {Object[]} rounds
+     * @param {Object[]} learners
+     * @param {string} label - Used in the file name, e.g. the learner's name or 'all'
+     */
+    function exportRounds(format, rounds, learners, label) {
+        const date = new Date().toISOString().slice(0, 10);
+        const slug = String(label).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'results';
+        const filename = `kinetic-shapes-${slug}-${date}.${format}`;
+
+        if (format === 'csv') {
+            // BOM so spreadsheet apps read accented names as UTF-8
+            download(filename, '\uFEFF' + toCSV(rounds, learners), 'text/csv;charset=utf-8');
+        } else {
+            download(filename, toJSON(rounds, learners), 'application/json');
+        }
+    }
+
+    // Public API
+    return {
+        toCSV,
+        toJSON,
+        exportRounds
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResultsExport;
+}
@@ -16,8 +16,33 @@ const KineticGame = (function() {
         pointsCorrect: 10,
         pointsTimeBonus: 30,
         pointsStreak: 5,
+        pointsPlacement: 2,      // Per shape sorted into the right box
         minCombinationsBeforeRepeat: 8,
-        answerOptions: 4
+        answerOptions: { 1: 4, 2: 4, 3: 4 }, // Options shown per difficulty level
+        timerEnabled: true,
+        speakQuestions: true,    // Read each question aloud when it appears
+        switchScanning: false,
+        scanInterval: 2, // Seconds each control stays highlighted while scanning
+        colorblindPalette: false,
+        patternFills: false,
+        language: 'en',          // Locale pack for prompts and feedback
+        languageMode: 'bilingual', // 'bilingual' keeps English target words, 'full' translates them
+        // Content in play, filled from teacher settings on init
+        questionTypes: [],
+        shapes: [],
+        colors: [],
+        sizes: []
+    };
+
+    // ==================== ADAPTIVE DIFFICULTY ====================
+    
+    const ADAPTIVE = {
+        window: 5,               // Recent answers considered
+        minAnswersAtLevel: 3,    // Answers required before changing level again
+        promoteAccuracy: 0.8,    // Move up at or above this recent accuracy...
+        fastResponseRatio: 0.5,  // ...when answering within this share of the timer
+        promoteStreak: 4,        // A streak this long moves up regardless of speed
+        demoteAccuracy: 0.5      // Move down below this recent accuracy
     };
 
     // ==================== QUESTION TYPES ====================
@@ -27,7 +52,218 @@ const KineticGame = (function() {
         SIZE_RECOGNITION: 'size_recognition',
         COLOR_SHAPE: 'color_shape',
         COUNTING_COLOR: 'counting_color',
-        LOGICAL_CHALLENGE: 'logical_challenge'
+        LOGICAL_CHALLENGE: 'logical_challenge',
+        LISTEN_AND_TAP: 'listen_and_tap',
+        TAP_SHAPE: 'tap_shape',
+        TAP_ALL_COLOR: 'tap_all_color',
+        SIZE_COMPARE: 'size_compare',
+        SIZE_SUPERLATIVE: 'size_superlative',
+        SIZE_ORDER: 'size_order',
+        SORT_INTO_BINS: 'sort_into_bins',
+        PATTERN_COMPLETION: 'pattern_completion',
+        POSITION_WORDS: 'position_words',
+        SCENE_SHAPES: 'scene_shapes',
+        SHAPE_SIDES: 'shape_sides',
+        SHAPE_PROPERTY: 'shape_property'
+    };
+
+    /**
+     * Relative weight of each question type per difficulty level
+     */
+    const TYPE_WEIGHTS = {
+        1: {
+            [QUESTION_TYPES.SHAPE_IDENTIFICATION]: 1,
+            [QUESTION_TYPES.SIZE_RECOGNITION]: 1,
+            [QUESTION_TYPES.TAP_SHAPE]: 1,
+            [QUESTION_TYPES.SIZE_COMPARE]: 1
+        },
+        2: {
+            [QUESTION_TYPES.COLOR_SHAPE]: 1,
+            [QUESTION_TYPES.COUNTING_COLOR]: 1,
+            [QUESTION_TYPES.LISTEN_AND_TAP]: 1,
+            [QUESTION_TYPES.TAP_ALL_COLOR]: 1,
+            [QUESTION_TYPES.SIZE_SUPERLATIVE]: 1,
+            [QUESTION_TYPES.SORT_INTO_BINS]: 1,
+            [QUESTION_TYPES.PATTERN_COMPLETION]: 1,
+            [QUESTION_TYPES.POSITION_WORDS]: 1,
+            [QUESTION_TYPES.SCENE_SHAPES]: 1,
+            [QUESTION_TYPES.SHAPE_SIDES]: 1,
+            [QUESTION_TYPES.SHAPE_PROPERTY]: 1
+        },
+        3: {
+            [QUESTION_TYPES.SHAPE_IDENTIFICATION]: 1,
+            [QUESTION_TYPES.TAP_SHAPE]: 1,
+            [QUESTION_TYPES.COLOR_SHAPE]: 1,
+            [QUESTION_TYPES.COUNTING_COLOR]: 1,
+            [QUESTION_TYPES.LOGICAL_CHALLENGE]: 2,
+            [QUESTION_TYPES.LISTEN_AND_TAP]: 1,
+            [QUESTION_TYPES.TAP_ALL_COLOR]: 1,
+            [QUESTION_TYPES.SIZE_SUPERLATIVE]: 1,
+            [QUESTION_TYPES.SIZE_ORDER]: 1,
+            [QUESTION_TYPES.SORT_INTO_BINS]: 1,
+            [QUESTION_TYPES.PATTERN_COMPLETION]: 1,
+            [QUESTION_TYPES.POSITION_WORDS]: 1,
+            [QUESTION_TYPES.SCENE_SHAPES]: 1,
+            [QUESTION_TYPES.SHAPE_SIDES]: 1,
+            [QUESTION_TYPES.SHAPE_PROPERTY]: 1
+        }
+    };
+
+    /**
+     * Question types that can practice each kind of vocabulary
+     */
+    const TYPES_BY_CONCEPT = {
+        shape: [
+            QUESTION_TYPES.SHAPE_IDENTIFICATION, QUESTION_TYPES.COLOR_SHAPE,
+            QUESTION_TYPES.LISTEN_AND_TAP, QUESTION_TYPES.TAP_SHAPE, QUESTION_TYPES.POSITION_WORDS
+        ],
+        color: [
+            QUESTION_TYPES.COLOR_SHAPE, QUESTION_TYPES.COUNTING_COLOR, QUESTION_TYPES.LOGICAL_CHALLENGE,
+            QUESTION_TYPES.LISTEN_AND_TAP, QUESTION_TYPES.TAP_ALL_COLOR, QUESTION_TYPES.POSITION_WORDS
+        ],
+        size: [QUESTION_TYPES.SIZE_RECOGNITION, QUESTION_TYPES.LOGICAL_CHALLENGE, QUESTION_TYPES.LISTEN_AND_TAP]
+    };
+
+    /** How shapes can be selected for each answer mode of question data */
+    const SHAPE_SELECT_MODES = {
+        shape: 'single',   // Tap one shape
+        shapes: 'multiple', // Tap every matching shape, then Check
+        sequence: 'ordered', // Tap every shape in order, then Check
+        sort: 'single'      // Drag each shape into a box (or tap it, then the box)
+    };
+
+    /**
+     * Ways shapes may be drawn other than their usual picture (see
+     * ShapeRenderer.getRandomVariation), per difficulty level
+     */
+    const SHAPE_VARIATIONS = {
+        1: [],
+        2: ['outline', 'fill'],
+        3: ['rotation', 'reshape', 'outline', 'fill']
+    };
+
+    /**
+     * Variations each question type allows. Types that compare sizes or repeat
+     * a pattern are left out; gradient fills could look like another color, and
+     * a skewed triangle loses its line of symmetry.
+     */
+    const VARIATIONS_BY_TYPE = {
+        [QUESTION_TYPES.SHAPE_IDENTIFICATION]: ['rotation', 'reshape', 'outline', 'fill'],
+        [QUESTION_TYPES.TAP_SHAPE]: ['rotation', 'reshape', 'outline', 'fill'],
+        [QUESTION_TYPES.SHAPE_SIDES]: ['rotation', 'reshape', 'outline', 'fill'],
+        [QUESTION_TYPES.SHAPE_PROPERTY]: ['rotation', 'outline', 'fill'],
+        [QUESTION_TYPES.COLOR_SHAPE]: ['rotation', 'reshape'],
+        [QUESTION_TYPES.COUNTING_COLOR]: ['rotation', 'reshape'],
+        [QUESTION_TYPES.TAP_ALL_COLOR]: ['rotation', 'reshape'],
+        [QUESTION_TYPES.POSITION_WORDS]: ['rotation', 'outline']
+    };
+
+    /**
+     * How each question type's shapes are placed on the stage (see ShapeLayout);
+     * types not listed stand in a row, which keeps sizes easy to compare.
+     * Question data may set its own layout instead, as position questions do.
+     */
+    const LAYOUT_BY_TYPE = {
+        [QUESTION_TYPES.COUNTING_COLOR]: { mode: 'clustered', groupBy: 'shape' },
+        [QUESTION_TYPES.LOGICAL_CHALLENGE]: { mode: 'scattered' },
+        [QUESTION_TYPES.TAP_ALL_COLOR]: { mode: 'scattered' },
+        [QUESTION_TYPES.SORT_INTO_BINS]: { mode: 'scattered' }
+    };
+
+    /** Smallest size multiplier gap children reliably see (e.g. small vs medium, not small vs little) */
+    const MIN_VISIBLE_SIZE_GAP = 0.25;
+
+    /** Repeating units of pattern questions per difficulty level; each letter stands for one value */
+    const PATTERN_UNITS = {
+        1: ['AB'],
+        2: ['AB', 'AAB', 'ABB'],
+        3: ['ABC', 'AABB', 'AABC']
+    };
+
+    /** Most pattern items shown before the gap */
+    const PATTERN_MAX_VISIBLE = 8;
+
+    /** Position words asked about per difficulty level; left and right come last */
+    const POSITION_RELATIONS = {
+        1: ['above', 'below'],
+        2: ['above', 'below', 'next'],
+        3: ['above', 'below', 'next', 'left', 'right']
+    };
+
+    /** Grid and number of shapes for position questions per difficulty level */
+    const POSITION_GRIDS = {
+        1: { rows: 2, columns: 2, count: 3 },
+        2: { rows: 3, columns: 3, count: 5 },
+        3: { rows: 3, columns: 4, count: 7 }
+    };
+
+    /**
+     * Cell offsets for each position word: where the answer sits relative to the
+     * reference shape, and the band of cells a child could read the word as
+     * pointing to (diagonal neighbours count as "above" or "next to" for them)
+     */
+    const POSITION_OFFSETS = {
+        above: { answer: [-1, 0], inBand: (dRow, dCol) => dRow < 0 && Math.abs(dCol) <= 1 },
+        below: { answer: [1, 0], inBand: (dRow, dCol) => dRow > 0 && Math.abs(dCol) <= 1 },
+        left: { answer: [0, -1], inBand: (dRow, dCol) => dCol < 0 && Math.abs(dRow) <= 1 },
+        right: { answer: [0, 1], inBand: (dRow, dCol) => dCol > 0 && Math.abs(dRow) <= 1 },
+        next: { answer: [0, 1], inBand: (dRow, dCol) => Math.abs(dRow) <= 1 && Math.abs(dCol) <= 1 }
+    };
+
+    /** Most sides a shape may have to be counted (a star's ten are too many) */
+    const MAX_COUNTED_SIDES = 8;
+
+    /**
+     * "Which shape...?" questions built from ShapeRenderer shape properties:
+     * the difficulty level each starts at, and whether a shape's properties
+     * match (count rules match the answer's own count, always more than one)
+     */
+    const SHAPE_PROPERTY_RULES = {
+        noCorners: { level: 2, matches: p => p.corners === 0 },
+        curved: { level: 2, matches: p => p.curvedSides > 0 },
+        straight: { level: 2, matches: p => p.curvedSides === 0 },
+        sides: {
+            level: 2,
+            countOf: p => (p.curvedSides === 0 && p.sides <= MAX_COUNTED_SIDES ? p.sides : null),
+            matches: (p, count) => p.sides === count
+        },
+        symmetry: {
+            level: 3,
+            countOf: p => (Number.isFinite(p.symmetryLines) && p.symmetryLines > 1 ? p.symmetryLines : null),
+            matches: (p, count) => p.symmetryLines === count
+        }
+    };
+
+    /** Fewest shapes a difficulty level's pool may have before all selected shapes are used */
+    const MIN_SHAPE_POOL = 4;
+
+    /** Every Nth question of a review round is a regular one for variety */
+    const REVIEW_BREAK_EVERY = 4;
+
+    // ==================== TEACHER SETTINGS ====================
+
+    /**
+     * Teacher-adjustable CONFIG values; list settings also define the allowed values
+     */
+    const DEFAULT_SETTINGS = {
+        totalQuestions: CONFIG.totalQuestions,
+        timerEnabled: CONFIG.timerEnabled,
+        timerDuration: CONFIG.timerDuration,
+        speakQuestions: CONFIG.speakQuestions,
+        answerOptions: CONFIG.answerOptions,
+        switchScanning: CONFIG.switchScanning,
+        scanInterval: CONFIG.scanInterval,
+        colorblindPalette: CONFIG.colorblindPalette,
+        patternFills: CONFIG.patternFills,
+        language: CONFIG.language,
+        languageMode: CONFIG.languageMode,
+        questionTypes: Object.values(QUESTION_TYPES),
+        // Read when used, so shapes registered at runtime are offered too
+        get shapes() {
+            return ShapeRenderer.getShapeNames();
+        },
+        colors: ShapeRenderer.getPlayableColorNames(),
+        sizes: ShapeRenderer.getSizeNames()
     };
 
     // ==================== GAME STATE ====================
@@ -40,12 +276,27 @@ const KineticGame = (function() {
         incorrectAnswers: 0,
         usedCombinations: [],
         timerValue: CONFIG.timerDuration,
+        timerLimit: CONFIG.timerDuration,
         timerInterval: null,
         isAnswered: false,
         currentQuestionData: null,
-        difficulty: 1 // 1 = easy, 2 = medium, 3 = hard
+        difficulty: 1, // 1 = easy, 2 = medium, 3 = hard
+        difficultyChangedAt: 0,
+        adaptive: true,
+        answerHistory: [],
+        mastery: MasteryTracker.create(),
+        questionStartedAt: 0,
+        learnerId: null,
+        reviewItems: [],
+        reviewIndex: 0,
+        forcedTarget: null,
+        roundCode: '',
+        rng: Math.random
     };
 
+    /** Shapes registered when the settings were last applied */
+    let appliedShapeNames = [];
+
     // ==================== DOM ELEMENTS ====================
     
     const DOM = {
@@ -60,14 +311,18 @@ const KineticGame = (function() {
             timer: null,
             timerValue: null,
             questionText: null,
+            replayBtn: null,
             shapeDisplay: null,
             answerOptions: null,
             feedbackMessage: null,
             microTip: null,
+            announcer: null,
             nextBtn: null,
             scoreValue: null,
             streakValue: null,
-            streakDisplay: null
+            streakDisplay: null,
+            roundCode: null,
+            totalQuestions: null
         },
         results: {
             finalScore: null,
@@ -75,7 +330,28 @@ const KineticGame = (function() {
             finalIncorrect: null,
             finalAccuracy: null,
             motivationMessage: null,
-            confettiContainer: null
+            confettiContainer: null,
+            roundCode: null,
+            savedNote: null,
+            masteryBreakdown: null,
+            exportActions: null
+        },
+        intro: {
+            roundCodeInput: null,
+            learnerSelect: null,
+            newLearnerInput: null,
+            addLearnerBtn: null,
+            reviewBtn: null,
+            reviewCount: null
+        },
+        settings: {
+            panel: null,
+            form: null,
+            error: null,
+            openBtn: null,
+            cancelBtn: null,
+            resetBtn: null,
+            exportActions: null
         },
         buttons: {
             start: null,
@@ -90,8 +366,16 @@ const KineticGame = (function() {
      */
     function init() {
         cacheDOMElements();
+        applySettings(GameSettings.load(DEFAULT_SETTINGS));
+        renderLearnerOptions();
         bindEvents();
         
+        // Pre-fill a shared round code from the URL (?round=ABC123)
+        const sharedCode = new URLSearchParams(window.location.search).get('round');
+        if (sharedCode) {
+            DOM.intro.roundCodeInput.value = SeededRandom.normalizeCode(sharedCode);
+        }
+        
         // Load voices for speech synthesis
         if ('speechSynthesis' in window) {
             window.speechSynthesis.getVoices();
@@ -113,14 +397,18 @@ const KineticGame = (function() {
         DOM.game.timer = document.getElementById('timer');
         DOM.game.timerValue = document.getElementById('timer-value');
         DOM.game.questionText = document.getElementById('question-text');
+        DOM.game.replayBtn = document.getElementById('replay-btn');
         DOM.game.shapeDisplay = document.getElementById('shape-display');
         DOM.game.answerOptions = document.getElementById('answer-options');
         DOM.game.feedbackMessage = document.getElementById('feedback-message');
         DOM.game.microTip = document.getElementById('micro-tip');
+        DOM.game.announcer = document.getElementById('game-announcer');
         DOM.game.nextBtn = document.getElementById('next-btn');
         DOM.game.scoreValue = document.getElementById('score-value');
         DOM.game.streakValue = document.getElementById('streak-value');
         DOM.game.streakDisplay = document.querySelector('.streak-display');
+        DOM.game.roundCode = document.getElementById('round-code');
+        DOM.game.totalQuestions = document.getElementById('total-questions');
         
         // Results elements
         DOM.results.finalScore = document.getElementById('final-score');
@@ -129,6 +417,27 @@ const KineticGame = (function() {
         DOM.results.finalAccuracy = document.getElementById('final-accuracy');
         DOM.results.motivationMessage = document.getElementById('motivation-message');
         DOM.results.confettiContainer = document.getElementById('confetti-container');
+        DOM.results.roundCode = document.getElementById('final-round-code');
+        DOM.results.savedNote = document.getElementById('saved-note');
+        DOM.results.masteryBreakdown = document.getElementById('mastery-breakdown');
+        DOM.results.exportActions = document.getElementById('results-export');
+        
+        // Intro elements
+        DOM.intro.roundCodeInput = document.getElementById('round-code-input');
+        DOM.intro.learnerSelect = document.getElementById('learner-select');
+        DOM.intro.newLearnerInput = document.getElementById('new-learner-input');
+        DOM.intro.addLearnerBtn = document.getElementById('add-learner-btn');
+        DOM.intro.reviewBtn = document.getElementById('review-btn');
+        DOM.intro.reviewCount = document.getElementById('review-count');
+        
+        // Settings elements
+        DOM.settings.panel = document.getElementById('settings-panel');
+        DOM.settings.form = document.getElementById('settings-form');
+        DOM.settings.error = document.getElementById('settings-error');
+        DOM.settings.openBtn = document.getElementById('settings-btn');
+        DOM.settings.cancelBtn = document.getElementById('settings-cancel-btn');
+        DOM.settings.resetBtn = document.getElementById('settings-reset-btn');
+        DOM.settings.exportActions = document.getElementById('settings-export');
         
         // Buttons
         DOM.buttons.start = document.getElementById('start-btn');
@@ -139,9 +448,368 @@ const KineticGame = (function() {
      * Bind event listeners
      */
     function bindEvents() {
-        DOM.buttons.start.addEventListener('click', startGame);
+        DOM.buttons.start.addEventListener('click', () => startGame(false));
+        DOM.intro.reviewBtn.addEventListener('click', () => startGame(true));
         DOM.buttons.playAgain.addEventListener('click', restartGame);
         DOM.game.nextBtn.addEventListener('click', nextQuestion);
+        DOM.game.replayBtn.addEventListener('click', () => {
+            if (gameState.currentQuestionData) speakQuestion(true);
+        });
+        
+        DOM.intro.learnerSelect.addEventListener('change', () => {
+            LearnerProfiles.setActiveLearner(DOM.intro.learnerSelect.value || null);
+            updateReviewButton();
+        });
+        DOM.intro.addLearnerBtn.addEventListener('click', addLearner);
+        DOM.intro.newLearnerInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') addLearner();
+        });
+        
+        DOM.results.exportActions.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-export]');
+            if (btn) exportResults(btn.dataset.export, gameState.learnerId);
+        });
+        DOM.settings.exportActions.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-export]');
+            if (btn) exportResults(btn.dataset.export, null);
+        });
+        
+        DOM.settings.openBtn.addEventListener('click', openSettings);
+        DOM.settings.cancelBtn.addEventListener('click', closeSettings);
+        DOM.settings.resetBtn.addEventListener('click', () => fillSettingsForm(DEFAULT_SETTINGS));
+        DOM.settings.form.addEventListener('submit', saveSettings);
+        DOM.settings.panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') closeSettings();
+        });
+        
+        document.addEventListener('keydown', handleKeydown);
+    }
+
+    // ==================== KEYBOARD & SWITCH ACCESS ====================
+
+    /**
+     * Global keyboard controls:
+     * 1-9 pick an answer, arrow keys move between answers,
+     * Enter/Space go to the next question once answered.
+     * While switch scanning, Enter/Space select the highlighted control.
+     * @param {KeyboardEvent} e 
+     */
+    function handleKeydown(e) {
+        if (!DOM.settings.panel.classList.contains('hidden')) return;
+        
+        const isSwitchKey = e.key === ' ' || e.key === 'Enter';
+        
+        if (SwitchScanner.isActive() && isSwitchKey) {
+            e.preventDefault();
+            if (!e.repeat) SwitchScanner.select();
+            return;
+        }
+        
+        if (!DOM.screens.game.classList.contains('active')) return;
+        
+        if (/^[1-9]$/.test(e.key)) {
+            const btn = getAnswerButtons()[Number(e.key) - 1];
+            if (btn && !btn.disabled) {
+                e.preventDefault();
+                btn.click();
+            }
+        } else if (isSwitchKey) {
+            // Focused buttons activate themselves
+            if (e.target.closest('button')) return;
+            if (gameState.isAnswered) {
+                e.preventDefault();
+                nextQuestion();
+            }
+        } else if (e.key.startsWith('Arrow')) {
+            e.preventDefault();
+            moveAnswerFocus(e.key === 'ArrowUp' || e.key === 'ArrowLeft' ? -1 : 1);
+        }
+    }
+
+    /**
+     * Move focus to the previous or next answer button, wrapping around
+     * @param {number} step - -1 or 1
+     */
+    function moveAnswerFocus(step) {
+        const buttons = getEnabledAnswerButtons();
+        if (buttons.length === 0) return;
+        
+        const current = buttons.indexOf(document.activeElement);
+        const next = current === -1
+            ? (step > 0 ? 0 : buttons.length - 1)
+            : (current + step + buttons.length) % buttons.length;
+        buttons[next].focus();
+    }
+
+    /**
+     * Every answer control of the current question: text options,
+     * or the shapes themselves (then a Check button or sorting boxes) for tap-the-shape questions
+     * @returns {HTMLButtonElement[]}
+     */
+    function getAnswerButtons() {
+        return [
+            ...DOM.game.shapeDisplay.querySelectorAll('.shape-choice, .sort-bin-target'),
+            ...DOM.game.answerOptions.querySelectorAll('.answer-btn')
+        ];
+    }
+
+    /**
+     * Answer buttons that can still be chosen
+     * @returns {HTMLButtonElement[]}
+     */
+    function getEnabledAnswerButtons() {
+        return getAnswerButtons().filter(btn => !btn.disabled);
+    }
+
+    /**
+     * Start single-switch scanning over a set of controls
+     * @param {function(): HTMLElement[]} getItems 
+     */
+    function startScanning(getItems) {
+        SwitchScanner.start(getItems, CONFIG.scanInterval * 1000);
+    }
+
+    // ==================== LEARNER PROFILES ====================
+
+    /**
+     * Fill the learner picker, selecting the active learner
+     */
+    function renderLearnerOptions() {
+        const active = LearnerProfiles.getActiveLearner();
+        
+        DOM.intro.learnerSelect.innerHTML = '';
+        DOM.intro.learnerSelect.appendChild(new Option(LocalePacks.text('learners.guest'), ''));
+        LearnerProfiles.getLearners().forEach(learner => {
+            DOM.intro.learnerSelect.appendChild(new Option(learner.name, learner.id));
+        });
+        DOM.intro.learnerSelect.value = active ? active.id : '';
+        updateReviewButton();
+    }
+
+    /**
+     * Create a learner from the name field and make them active
+     */
+    function addLearner() {
+        const learner = LearnerProfiles.createLearner(DOM.intro.newLearnerInput.value);
+        if (!learner) {
+            DOM.intro.newLearnerInput.focus();
+            return;
+        }
+        
+        AudioManager.playClick();
+        LearnerProfiles.setActiveLearner(learner.id);
+        DOM.intro.newLearnerInput.value = '';
+        renderLearnerOptions();
+    }
+
+    /**
+     * Save the finished round to the active learner's history
+     * @param {number} accuracy 
+     * @returns {Object|null} The learner the round was saved for
+     */
+    function saveRoundToProfile(accuracy) {
+        const learner = LearnerProfiles.getActiveLearner();
+        if (!learner) return null;
+        
+        const saved = LearnerProfiles.saveRound(learner.id, {
+            roundCode: gameState.roundCode,
+            totalQuestions: CONFIG.totalQuestions,
+            score: gameState.score,
+            correct: gameState.correctAnswers,
+            incorrect: gameState.incorrectAnswers,
+            accuracy,
+            questions: gameState.answerHistory
+        });
+        return saved ? learner : null;
+    }
+
+    /**
+     * Download recorded rounds for one learner or the whole device
+     * @param {'csv'|'json'} format 
+     * @param {string|null} learnerId - Null exports every learner
+     */
+    function exportResults(format, learnerId) {
+        AudioManager.playClick();
+        
+        const learner = learnerId && LearnerProfiles.getLearner(learnerId);
+        ResultsExport.exportRounds(
+            format,
+            LearnerProfiles.getRounds(learnerId || undefined),
+            LearnerProfiles.getLearners(),
+            learner ? learner.name : 'all-learners'
+        );
+    }
+
+    // ==================== REVIEW MODE ====================
+
+    /**
+     * Due review items for a learner that are in play with the current settings
+     * @param {string|null} learnerId 
+     * @returns {Object[]}
+     */
+    function getPlayableReviewItems(learnerId) {
+        if (!learnerId) return [];
+        
+        const pools = { shape: CONFIG.shapes, color: CONFIG.colors, size: CONFIG.sizes };
+        return ReviewQueue.getDueItems(learnerId).filter(item => 
+            pools[item.category].includes(item.key) &&
+            TYPES_BY_CONCEPT[item.category].some(type => CONFIG.questionTypes.includes(type))
+        );
+    }
+
+    /**
+     * Show the review button when the active learner has items due
+     */
+    function updateReviewButton() {
+        const learner = LearnerProfiles.getActiveLearner();
+        const dueCount = getPlayableReviewItems(learner && learner.id).length;
+        
+        DOM.intro.reviewCount.textContent = dueCount;
+        DOM.intro.reviewBtn.classList.toggle('hidden', dueCount === 0);
+    }
+
+    /**
+     * Pick the review item to practice in the current question, if any
+     * @returns {Object|null}
+     */
+    function nextReviewItem() {
+        const items = gameState.reviewItems;
+        if (items.length === 0 || gameState.currentQuestion % REVIEW_BREAK_EVERY === 0) {
+            return null;
+        }
+        return items[gameState.reviewIndex++ % items.length];
+    }
+
+    /**
+     * Choose an enabled question type that practices a concept,
+     * preferring types suited to the current difficulty
+     * @param {string} category - 'shape', 'color' or 'size'
+     * @returns {string|null}
+     */
+    function selectReviewType(category) {
+        const enabled = TYPES_BY_CONCEPT[category].filter(type => CONFIG.questionTypes.includes(type));
+        const atLevel = enabled.filter(type => TYPE_WEIGHTS[gameState.difficulty][type]);
+        const types = atLevel.length > 0 ? atLevel : enabled;
+        
+        return types.length > 0 ? SeededRandom.pick(random, types) : null;
+    }
+
+    /**
+     * Update the learner's review queue from the current question
+     * @param {boolean} correct 
+     */
+    function updateReview(correct) {
+        if (!gameState.learnerId) return;
+        ReviewQueue.record(gameState.learnerId, gameState.currentQuestionData.target, correct);
+    }
+
+    // ==================== SETTINGS PANEL ====================
+
+    /**
+     * Apply teacher settings to CONFIG
+     * @param {Object} settings 
+     */
+    function applySettings(settings) {
+        Object.assign(CONFIG, settings);
+        appliedShapeNames = ShapeRenderer.getShapeNames();
+        ShapeRenderer.setDisplayOptions({
+            colorblindPalette: CONFIG.colorblindPalette,
+            patternFills: CONFIG.patternFills,
+            translateWords: CONFIG.languageMode === 'full'
+        });
+        LocalePacks.load(CONFIG.language).then(renderLearnerOptions);
+        DOM.game.totalQuestions.textContent = CONFIG.totalQuestions;
+    }
+
+    /**
+     * Put shapes registered since the settings were applied in play
+     * when the teacher had every shape selected
+     */
+    function includeRegisteredShapes() {
+        if (appliedShapeNames.every(shape => CONFIG.shapes.includes(shape))) {
+            CONFIG.shapes = [...new Set([...CONFIG.shapes, ...ShapeRenderer.getShapeNames()])];
+        }
+        appliedShapeNames = ShapeRenderer.getShapeNames();
+    }
+
+    /**
+     * Current settings as stored in CONFIG
+     * @returns {Object}
+     */
+    function getCurrentSettings() {
+        const settings = {};
+        Object.keys(DEFAULT_SETTINGS).forEach(key => {
+            settings[key] = CONFIG[key];
+        });
+        return settings;
+    }
+
+    /**
+     * Populate the settings form
+     * @param {Object} settings 
+     */
+    function fillSettingsForm(settings) {
+        GameSettings.fillForm(DOM.settings.form, settings, {
+            questionTypes: DEFAULT_SETTINGS.questionTypes.map(type => ({
+                value: type,
+                label: LocalePacks.text(`questionTypes.${type}`)
+            })),
+            shapes: DEFAULT_SETTINGS.shapes.map(shape => ({
+                value: shape,
+                label: ShapeRenderer.getShapeDisplayName(shape)
+            })),
+            colors: DEFAULT_SETTINGS.colors.map(color => ({
+                value: color,
+                label: capitalize(color),
+                swatch: ShapeRenderer.getColorHex(color)
+            })),
+            sizes: DEFAULT_SETTINGS.sizes.map(size => ({
+                value: size,
+                label: ShapeRenderer.getSizeDisplayName(size)
+            }))
+        });
+        DOM.settings.error.textContent = '';
+    }
+
+    /**
+     * Open the settings panel
+     */
+    function openSettings() {
+        AudioManager.playClick();
+        includeRegisteredShapes();
+        fillSettingsForm(getCurrentSettings());
+        DOM.settings.panel.classList.remove('hidden');
+        DOM.settings.form.elements.totalQuestions.focus();
+    }
+
+    /**
+     * Close the settings panel without saving
+     */
+    function closeSettings() {
+        DOM.settings.panel.classList.add('hidden');
+        DOM.settings.openBtn.focus();
+    }
+
+    /**
+     * Validate, persist and apply the settings form
+     * @param {Event} e 
+     */
+    function saveSettings(e) {
+        e.preventDefault();
+        
+        const settings = GameSettings.readForm(DOM.settings.form);
+        const error = GameSettings.validate(settings);
+        if (error) {
+            DOM.settings.error.textContent = error;
+            return;
+        }
+        
+        const sanitized = GameSettings.sanitize(settings, DEFAULT_SETTINGS);
+        GameSettings.save(sanitized);
+        applySettings(sanitized);
+        updateReviewButton();
+        AudioManager.playClick();
+        closeSettings();
     }
 
     // ==================== SCREEN MANAGEMENT ====================
@@ -151,27 +819,42 @@ const KineticGame = (function() {
      * @param {string} screenName - 'intro', 'game', or 'results'
      */
     function showScreen(screenName) {
+        SwitchScanner.stop();
+        
         Object.values(DOM.screens).forEach(screen => {
             screen.classList.remove('active');
         });
         DOM.screens[screenName].classList.add('active');
+        
+        // Move focus into the new screen so keyboard users follow along
+        const focusTargets = {
+            intro: DOM.buttons.start,
+            game: DOM.game.answerOptions,
+            results: DOM.buttons.playAgain
+        };
+        focusTargets[screenName].focus();
+        
+        if (CONFIG.switchScanning && screenName === 'results') {
+            startScanning(() => [DOM.buttons.playAgain]);
+        }
     }
 
     // ==================== GAME FLOW ====================
 
     /**
      * Start the game
+     * @param {boolean} review - Build the round from the learner's due review items
      */
-    function startGame() {
+    function startGame(review) {
         AudioManager.init();
         AudioManager.playStart();
         
         // Speak intro
         setTimeout(() => {
-            AudioManager.speak('Kinetic English Games by Camilo Marín. Let\'s learn shapes and sizes!', 0.9);
+            AudioManager.speak(LocalePacks.text('speech.welcome'), 0.9, LocalePacks.getSpeechLang());
         }, 500);
         
-        resetGameState();
+        resetGameState(review);
         showScreen('game');
         
         setTimeout(() => {
@@ -185,7 +868,7 @@ const KineticGame = (function() {
     function restartGame() {
         AudioManager.playClick();
         DOM.results.confettiContainer.innerHTML = '';
-        resetGameState();
+        resetGameState(gameState.reviewItems.length > 0);
         showScreen('game');
         
         setTimeout(() => {
@@ -195,8 +878,17 @@ const KineticGame = (function() {
 
     /**
      * Reset game state
+     * @param {boolean} [review=false] - Start a review round
      */
-    function resetGameState() {
+    function resetGameState(review = false) {
+        includeRegisteredShapes();
+        
+        // A teacher-provided code replays the same round; otherwise start a fresh one
+        const sharedCode = SeededRandom.normalizeCode(DOM.intro.roundCodeInput.value);
+        const roundCode = sharedCode || SeededRandom.generateCode();
+        const learner = LearnerProfiles.getActiveLearner();
+        const learnerId = learner ? learner.id : null;
+        
         gameState = {
             currentQuestion: 0,
             score: 0,
@@ -205,12 +897,27 @@ const KineticGame = (function() {
             incorrectAnswers: 0,
             usedCombinations: [],
             timerValue: CONFIG.timerDuration,
+            timerLimit: CONFIG.timerDuration,
             timerInterval: null,
             isAnswered: false,
             currentQuestionData: null,
-            difficulty: 1
+            difficulty: 1,
+            difficultyChangedAt: 0,
+            // Shared rounds keep the fixed progression so every learner gets the same questions
+            adaptive: !sharedCode,
+            answerHistory: [],
+            mastery: MasteryTracker.create(),
+            questionStartedAt: 0,
+            learnerId,
+            reviewItems: review ? getPlayableReviewItems(learnerId) : [],
+            reviewIndex: 0,
+            forcedTarget: null,
+            roundCode,
+            rng: Math.random
         };
         
+        DOM.game.roundCode.textContent = roundCode;
+        
         updateUI();
     }
 
@@ -218,7 +925,11 @@ const KineticGame = (function() {
      * Move to next question
      */
     function nextQuestion() {
+        // Ignore repeated presses while the next question is on its way
+        if (!DOM.game.nextBtn.classList.contains('show')) return;
+        
         AudioManager.playClick();
+        SwitchScanner.stop();
         
         if (gameState.currentQuestion >= CONFIG.totalQuestions) {
             endGame();
@@ -245,8 +956,14 @@ const KineticGame = (function() {
         DOM.results.finalCorrect.textContent = gameState.correctAnswers;
         DOM.results.finalIncorrect.textContent = gameState.incorrectAnswers;
         DOM.results.finalAccuracy.textContent = accuracy + '%';
+        DOM.results.roundCode.textContent = gameState.roundCode;
         
         DOM.results.motivationMessage.textContent = getMotivationMessage(accuracy);
+        renderMasteryBreakdown();
+        
+        const learner = saveRoundToProfile(accuracy);
+        DOM.results.savedNote.textContent = learner ? LocalePacks.text('results.saved', { name: learner.name }) : '';
+        DOM.results.exportActions.classList.toggle('hidden', !learner);
         
         showScreen('results');
         
@@ -254,7 +971,11 @@ const KineticGame = (function() {
         createConfetti();
         
         setTimeout(() => {
-            AudioManager.speak(`Amazing job! You scored ${gameState.score} points with ${accuracy} percent accuracy!`, 0.9);
+            AudioManager.speak(
+                LocalePacks.text('speech.results', { score: gameState.score, accuracy }),
+                0.9,
+                LocalePacks.getSpeechLang()
+            );
         }, 1000);
     }
 
@@ -264,11 +985,78 @@ const KineticGame = (function() {
      * @returns {string}
      */
     function getMotivationMessage(accuracy) {
-        if (accuracy >= 90) return "🌟 Outstanding! You're a shapes master!";
-        if (accuracy >= 75) return "🎉 Excellent work! Keep learning!";
-        if (accuracy >= 60) return "👍 Good job! Practice makes perfect!";
-        if (accuracy >= 40) return "💪 Nice try! You're getting better!";
-        return "🌈 Keep practicing! You'll improve!";
+        return LocalePacks.motivation(accuracy);
+    }
+
+    /**
+     * Render per-concept results, weakest concepts first in each group
+     */
+    function renderMasteryBreakdown() {
+        const container = DOM.results.masteryBreakdown;
+        container.innerHTML = '';
+        
+        MasteryTracker.CATEGORIES.forEach(category => {
+            const entries = MasteryTracker.getEntries(gameState.mastery, category);
+            if (entries.length === 0) return;
+            
+            const group = document.createElement('div');
+            group.className = 'mastery-group';
+            
+            const title = document.createElement('h3');
+            title.className = 'mastery-title';
+            title.textContent = LocalePacks.text(`results.mastery.${category}`);
+            group.appendChild(title);
+            
+            entries.forEach(entry => {
+                const chip = document.createElement('span');
+                chip.className = `mastery-chip ${entry.level}`;
+                chip.textContent = category === 'type'
+                    ? `${getConceptName(category, entry.key)}: ${Math.round(entry.ratio * 100)}%`
+                    : `${getConceptName(category, entry.key)}: ${entry.correct}/${entry.attempts}`;
+                group.appendChild(chip);
+            });
+            
+            container.appendChild(group);
+        });
+    }
+
+    /**
+     * Display name of a mastery concept. Vocabulary is translated
+     * by the locale pack when the game is fully localized; packs keep
+     * words in lower case, as they are mostly used inside sentences.
+     * @param {string} category - 'shape', 'shapes' (plural), 'color', 'size',
+     *   'scene', 'part' or 'type'
+     * @param {string} key 
+     * @returns {string}
+     */
+    function getConceptName(category, key) {
+        const translated = CONFIG.languageMode === 'full' && LocalePacks.word(category, key);
+        if (translated) return capitalize(translated);
+        
+        switch (category) {
+            case 'shape':
+                return ShapeRenderer.getShapeDisplayName(key);
+            case 'shapes':
+                return ShapeRenderer.getShapePluralName(key);
+            case 'scene':
+                return ShapeRenderer.SCENES[key]?.displayName || capitalize(key);
+            case 'size':
+                return ShapeRenderer.getSizeDisplayName(key);
+            case 'type':
+                return LocalePacks.text(`questionTypes.${key}`);
+            default:
+                return capitalize(key);
+        }
+    }
+
+    /**
+     * Vocabulary word as it appears inside a prompt or tip
+     * @param {string} category - A getConceptName category, e.g. 'shape'
+     * @param {string} key 
+     * @returns {string}
+     */
+    function getPromptWord(category, key) {
+        return getConceptName(category, key).toLocaleLowerCase();
     }
 
     // ==================== QUESTION GENERATION ====================
@@ -280,19 +1068,29 @@ const KineticGame = (function() {
         gameState.currentQuestion++;
         gameState.isAnswered = false;
         
-        // Update difficulty based on progress
-        if (gameState.currentQuestion <= 7) {
-            gameState.difficulty = 1; // Easy: one variable
-        } else if (gameState.currentQuestion <= 14) {
-            gameState.difficulty = 2; // Medium: two variables
-        } else {
-            gameState.difficulty = 3; // Hard: three variables
+        // Each question gets its own stream so it depends only on the round code and its number
+        gameState.rng = SeededRandom.derive(gameState.roundCode, gameState.currentQuestion);
+        
+        // Update difficulty from learner performance (or the fixed schedule)
+        const difficulty = gameState.adaptive
+            ? getAdaptiveDifficulty()
+            : getScheduledDifficulty(gameState.currentQuestion);
+        if (difficulty !== gameState.difficulty) {
+            gameState.difficulty = difficulty;
+            gameState.difficultyChangedAt = gameState.answerHistory.length;
         }
         
-        // Select question type based on difficulty
-        const questionType = selectQuestionType();
+        // Review rounds force most targets to a due item; others select by difficulty
+        const reviewItem = nextReviewItem();
+        const reviewType = reviewItem && selectReviewType(reviewItem.category);
+        gameState.forcedTarget = reviewType ? { [reviewItem.category]: reviewItem.key } : null;
+        
+        const questionType = reviewType || selectQuestionType();
         const questionData = createQuestion(questionType);
+        varyShapes(questionData);
+        arrangeShapes(questionData);
         
+        recordCombination(questionData.type, questionData.target);
         gameState.currentQuestionData = questionData;
         
         // Render the question
@@ -302,83 +1100,213 @@ const KineticGame = (function() {
     }
 
     /**
-     * Select question type based on difficulty
-     * @returns {string}
+     * Give the shapes of a question variations allowed by its type and the difficulty,
+     * so harder questions show shapes turned, stretched or outlined
+     * @param {Object} questionData
      */
-    function selectQuestionType() {
-        const types = Object.values(QUESTION_TYPES);
-        
-        if (gameState.difficulty === 1) {
-            // Easy: shape identification or size recognition
-            return Math.random() > 0.5 
-                ? QUESTION_TYPES.SHAPE_IDENTIFICATION 
-                : QUESTION_TYPES.SIZE_RECOGNITION;
-        } else if (gameState.difficulty === 2) {
-            // Medium: color + shape or counting
-            return Math.random() > 0.5 
-                ? QUESTION_TYPES.COLOR_SHAPE 
-                : QUESTION_TYPES.COUNTING_COLOR;
-        } else {
-            // Hard: any type with emphasis on logical challenges
-            const hardTypes = [
-                QUESTION_TYPES.COLOR_SHAPE,
-                QUESTION_TYPES.COUNTING_COLOR,
-                QUESTION_TYPES.LOGICAL_CHALLENGE
-            ];
-            return hardTypes[Math.floor(Math.random() * hardTypes.length)];
-        }
+    function varyShapes(questionData) {
+        const kinds = (VARIATIONS_BY_TYPE[questionData.type] || [])
+            .filter(kind => SHAPE_VARIATIONS[gameState.difficulty].includes(kind));
+        if (kinds.length === 0) return;
+        
+        questionData.shapes.forEach(shape => {
+            shape.variation = ShapeRenderer.getRandomVariation(random, shape.shape, kinds);
+        });
     }
 
     /**
-     * Create a question based on type
-     * @param {string} type 
-     * @returns {Object}
+     * Set how a question's shapes are laid out, seeded by the round code and
+     * question number so a shared round places them the same way
+     * @param {Object} questionData
      */
-    function createQuestion(type) {
-        switch (type) {
-            case QUESTION_TYPES.SHAPE_IDENTIFICATION:
-                return createShapeIdentificationQuestion();
-            case QUESTION_TYPES.SIZE_RECOGNITION:
-                return createSizeRecognitionQuestion();
-            case QUESTION_TYPES.COLOR_SHAPE:
-                return createColorShapeQuestion();
-            case QUESTION_TYPES.COUNTING_COLOR:
-                return createCountingColorQuestion();
-            case QUESTION_TYPES.LOGICAL_CHALLENGE:
-                return createLogicalChallengeQuestion();
-            default:
-                return createShapeIdentificationQuestion();
-        }
+    function arrangeShapes(questionData) {
+        const layout = questionData.layout || LAYOUT_BY_TYPE[questionData.type] || { mode: 'row' };
+        questionData.layout = { ...layout, seed: `${gameState.roundCode}:${gameState.currentQuestion}:layout` };
     }
 
     /**
-     * Create shape identification question
+     * Difficulty by position in the round, used for shared rounds
+     * (questions 1-7 easy, 8-14 medium, 15+ hard in a 20-question round)
+     * @param {number} questionNumber 
+     * @returns {number}
+     */
+    function getScheduledDifficulty(questionNumber) {
+        const progress = (questionNumber - 1) / CONFIG.totalQuestions;
+        if (progress < 0.35) return 1; // Easy: one variable
+        if (progress < 0.7) return 2;  // Medium: two variables
+        return 3;                      // Hard: three variables
+    }
+
+    /**
+     * Raise or lower difficulty from recent accuracy, response time and streak
+     * @returns {number}
+     */
+    function getAdaptiveDifficulty() {
+        const current = gameState.difficulty;
+        const answersAtLevel = gameState.answerHistory.length - gameState.difficultyChangedAt;
+        
+        if (answersAtLevel < ADAPTIVE.minAnswersAtLevel) {
+            return current;
+        }
+        
+        const recent = gameState.answerHistory.slice(-Math.min(answersAtLevel, ADAPTIVE.window));
+        const accuracy = recent.filter(a => a.correct).length / recent.length;
+        // Each answer against its own timer, as longer activities get more time
+        const averageShare = recent.reduce((sum, a) => sum + a.responseTime / (a.timeLimit * 1000), 0) / recent.length;
+        const isFast = averageShare <= ADAPTIVE.fastResponseRatio;
+        
+        if (accuracy >= ADAPTIVE.promoteAccuracy && (isFast || gameState.streak >= ADAPTIVE.promoteStreak)) {
+            return Math.min(current + 1, 3);
+        }
+        if (accuracy < ADAPTIVE.demoteAccuracy) {
+            return Math.max(current - 1, 1);
+        }
+        return current;
+    }
+
+    /**
+     * Select question type based on difficulty
+     * Easy: shape identification or size recognition
+     * Medium: color + shape or counting
+     * Hard: any of those with emphasis on logical challenges
+     * @returns {string}
+     */
+    function selectQuestionType() {
+        const enabled = CONFIG.questionTypes.filter(canAskQuestionType);
+        let weights = Object.entries(TYPE_WEIGHTS[gameState.difficulty])
+            .filter(([type]) => enabled.includes(type));
+        
+        // No enabled type at this level: choose evenly from the enabled ones
+        if (weights.length === 0) {
+            weights = enabled.map(type => [type, 1]);
+        }
+        // None of them fits the teacher's choices: ask which shape it is
+        if (weights.length === 0) return QUESTION_TYPES.SHAPE_IDENTIFICATION;
+        
+        const total = weights.reduce((sum, [, weight]) => sum + weight, 0);
+        
+        let roll = random() * total;
+        for (const [type, weight] of weights) {
+            roll -= weight;
+            if (roll < 0) return type;
+        }
+        return weights[weights.length - 1][0];
+    }
+
+    /**
+     * Whether the teacher's choices leave something to ask in a question type,
+     * which is not so for sides questions when every selected shape is curved
+     * @param {string} type
+     * @returns {boolean}
+     */
+    function canAskQuestionType(type) {
+        switch (type) {
+            case QUESTION_TYPES.SCENE_SHAPES:
+                return getPlayableScenes().length > 0;
+            case QUESTION_TYPES.PATTERN_COMPLETION:
+                return getPatternUnits().length > 0;
+            case QUESTION_TYPES.SHAPE_SIDES:
+                return getCountableShapes().length > 0;
+            case QUESTION_TYPES.SHAPE_PROPERTY:
+                return getShapePropertyChoices().rules.length > 0;
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Values of a category in play for the current question. Shapes are
+     * limited to those introduced at or below the current difficulty,
+     * unless that leaves too few; a shape being reviewed is always in play.
+     * @param {string} category - 'shape', 'color' or 'size'
+     * @returns {string[]}
+     */
+    function getPool(category) {
+        if (category !== 'shape') return CONFIG[`${category}s`];
+        
+        const pool = CONFIG.shapes.filter(shape => ShapeRenderer.getShapeLevel(shape) <= gameState.difficulty);
+        if (pool.length < MIN_SHAPE_POOL) return CONFIG.shapes;
+        
+        const reviewed = (gameState.forcedTarget || {}).shape;
+        return reviewed && !pool.includes(reviewed) ? [...pool, reviewed] : pool;
+    }
+
+    /**
+     * Create a question based on type
+     * @param {string} type 
+     * @returns {Object}
+     */
+    function createQuestion(type) {
+        switch (type) {
+            case QUESTION_TYPES.SHAPE_IDENTIFICATION:
+                return createShapeIdentificationQuestion();
+            case QUESTION_TYPES.SIZE_RECOGNITION:
+                return createSizeRecognitionQuestion();
+            case QUESTION_TYPES.COLOR_SHAPE:
+                return createColorShapeQuestion();
+            case QUESTION_TYPES.COUNTING_COLOR:
+                return createCountingColorQuestion();
+            case QUESTION_TYPES.LOGICAL_CHALLENGE:
+                return createLogicalChallengeQuestion();
+            case QUESTION_TYPES.LISTEN_AND_TAP:
+                return createListenAndTapQuestion();
+            case QUESTION_TYPES.TAP_SHAPE:
+                return createTapShapeQuestion();
+            case QUESTION_TYPES.TAP_ALL_COLOR:
+                return createTapAllColorQuestion();
+            case QUESTION_TYPES.SIZE_COMPARE:
+                return createSizeCompareQuestion();
+            case QUESTION_TYPES.SIZE_SUPERLATIVE:
+                return createSizeSuperlativeQuestion();
+            case QUESTION_TYPES.SIZE_ORDER:
+                return createSizeOrderQuestion();
+            case QUESTION_TYPES.SORT_INTO_BINS:
+                return createSortQuestion();
+            case QUESTION_TYPES.PATTERN_COMPLETION:
+                return createPatternQuestion();
+            case QUESTION_TYPES.POSITION_WORDS:
+                return createPositionQuestion();
+            case QUESTION_TYPES.SCENE_SHAPES:
+                return createSceneQuestion();
+            case QUESTION_TYPES.SHAPE_SIDES:
+                return createShapeSidesQuestion();
+            case QUESTION_TYPES.SHAPE_PROPERTY:
+                return createShapePropertyQuestion();
+            default:
+                return createShapeIdentificationQuestion();
+        }
+    }
+
+    /**
+     * Create shape identification question
      */
     function createShapeIdentificationQuestion() {
-        const shape = ShapeRenderer.getRandomShape();
-        const color = ShapeRenderer.getRandomColor();
-        const size = ShapeRenderer.getRandomSize();
+        const { shape } = chooseTarget(QUESTION_TYPES.SHAPE_IDENTIFICATION, {
+            shape: getPool('shape')
+        });
+        const color = ShapeRenderer.getRandomColor(random, CONFIG.colors);
+        const size = ShapeRenderer.getRandomSize(random, CONFIG.sizes);
         
         const shapes = [{ shape, color, size }];
-        const correctAnswer = ShapeRenderer.getShapeDisplayName(shape);
+        const correctAnswer = getConceptName('shape', shape);
         
         // Generate wrong answers
-        const wrongAnswers = ShapeRenderer.getShapeNames()
+        const wrongAnswers = getPool('shape')
             .filter(s => s !== shape)
-            .map(s => ShapeRenderer.getShapeDisplayName(s))
-            .sort(() => Math.random() - 0.5)
-            .slice(0, 3);
+            .map(s => getConceptName('shape', s));
         
-        const options = shuffleArray([correctAnswer, ...wrongAnswers]);
+        const options = buildOptions(correctAnswer, wrongAnswers);
         
         return {
             type: QUESTION_TYPES.SHAPE_IDENTIFICATION,
-            question: "What shape is this?",
+            question: LocalePacks.text('prompts.shape_identification'),
             shapes,
             options,
             correctAnswer,
             highlightIndex: 0,
-            microTip: `This is a ${shape}!`
+            target: { shape },
+            hiddenAttributes: ['shape'],
+            microTip: LocalePacks.text('tips.shape_identification', { shape: getPromptWord('shape', shape) })
         };
     }
 
@@ -386,30 +1314,32 @@ const KineticGame = (function() {
      * Create size recognition question
      */
     function createSizeRecognitionQuestion() {
-        const shape = ShapeRenderer.getRandomShape();
-        const color = ShapeRenderer.getRandomColor();
-        const size = ShapeRenderer.getRandomSize();
+        const { size } = chooseTarget(QUESTION_TYPES.SIZE_RECOGNITION, {
+            size: CONFIG.sizes
+        });
+        const shape = ShapeRenderer.getRandomShape(random, getPool('shape'));
+        const color = ShapeRenderer.getRandomColor(random, CONFIG.colors);
         
         const shapes = [{ shape, color, size }];
-        const correctAnswer = ShapeRenderer.getSizeDisplayName(size);
+        const correctAnswer = getConceptName('size', size);
         
         // Generate wrong answers
-        const wrongAnswers = ShapeRenderer.getSizeNames()
+        const wrongAnswers = CONFIG.sizes
             .filter(s => s !== size)
-            .map(s => ShapeRenderer.getSizeDisplayName(s))
-            .sort(() => Math.random() - 0.5)
-            .slice(0, 3);
+            .map(s => getConceptName('size', s));
         
-        const options = shuffleArray([correctAnswer, ...wrongAnswers]);
+        const options = buildOptions(correctAnswer, wrongAnswers);
         
         return {
             type: QUESTION_TYPES.SIZE_RECOGNITION,
-            question: "What size is this shape?",
+            question: LocalePacks.text('prompts.size_recognition'),
             shapes,
             options,
             correctAnswer,
             highlightIndex: 0,
-            microTip: `${ShapeRenderer.getSizeDisplayName(size)}: not too big, not too small!`
+            target: { size },
+            hiddenAttributes: ['size'],
+            microTip: LocalePacks.text('tips.size_recognition', { size: getPromptWord('size', size) })
         };
     }
 
@@ -417,54 +1347,61 @@ const KineticGame = (function() {
      * Create color + shape question
      */
     function createColorShapeQuestion() {
-        const targetShape = ShapeRenderer.getRandomShape();
-        const targetColor = ShapeRenderer.getRandomColor();
+        const { shape: targetShape, color: targetColor } = chooseTarget(QUESTION_TYPES.COLOR_SHAPE, {
+            shape: getPool('shape'),
+            color: CONFIG.colors
+        });
         
         // Create distractor shapes
         const shapes = [];
-        const numShapes = 3 + Math.floor(Math.random() * 3); // 3-5 shapes
+        const numShapes = 3 + Math.floor(random() * 3); // 3-5 shapes
         
         // Add the target shape
         shapes.push({
             shape: targetShape,
             color: targetColor,
-            size: ShapeRenderer.getRandomSize()
+            size: ShapeRenderer.getRandomSize(random, CONFIG.sizes)
         });
         
         // Add distractors
         for (let i = 1; i < numShapes; i++) {
             let distShape, distColor;
             do {
-                distShape = ShapeRenderer.getRandomShape();
-                distColor = ShapeRenderer.getRandomColor();
+                distShape = ShapeRenderer.getRandomShape(random, getPool('shape'));
+                distColor = ShapeRenderer.getRandomColor(random, CONFIG.colors);
             } while (distShape === targetShape && distColor === targetColor);
             
             shapes.push({
                 shape: distShape,
                 color: distColor,
-                size: ShapeRenderer.getRandomSize()
+                size: ShapeRenderer.getRandomSize(random, CONFIG.sizes)
             });
         }
         
-        const correctAnswer = capitalize(targetColor);
+        const correctAnswer = getConceptName('color', targetColor);
         
-        // Generate color options
-        const otherColors = ShapeRenderer.getColorNames()
-            .filter(c => c !== targetColor && c !== 'white' && c !== 'black')
-            .map(c => capitalize(c))
-            .sort(() => Math.random() - 0.5)
-            .slice(0, 3);
+        // Generate wrong answers
+        const wrongAnswers = CONFIG.colors
+            .filter(c => c !== targetColor)
+            .map(c => getConceptName('color', c));
+        
+        const words = {
+            shape: getPromptWord('shape', targetShape),
+            color: getPromptWord('color', targetColor)
+        };
         
-        const options = shuffleArray([correctAnswer, ...otherColors]);
+        const options = buildOptions(correctAnswer, wrongAnswers);
         
         return {
             type: QUESTION_TYPES.COLOR_SHAPE,
-            question: `What color is the ${targetShape}?`,
+            question: LocalePacks.text('prompts.color_shape', words),
             shapes: shuffleArray(shapes),
             options,
             correctAnswer,
             highlightIndex: -1,
-            microTip: `${capitalize(targetColor)} + ${targetShape} = ${targetColor} ${targetShape}!`
+            target: { shape: targetShape, color: targetColor },
+            hiddenAttributes: ['color'],
+            microTip: LocalePacks.text('tips.color_shape', words)
         };
     }
 
@@ -472,54 +1409,56 @@ const KineticGame = (function() {
      * Create counting by color question
      */
     function createCountingColorQuestion() {
-        const targetColor = ShapeRenderer.getRandomColor();
-        const targetCount = 2 + Math.floor(Math.random() * 4); // 2-5 shapes of target color
+        const { color: targetColor } = chooseTarget(QUESTION_TYPES.COUNTING_COLOR, {
+            color: CONFIG.colors
+        });
+        const targetCount = 2 + Math.floor(random() * 4); // 2-5 shapes of target color
         
         const shapes = [];
         
         // Add target colored shapes
         for (let i = 0; i < targetCount; i++) {
             shapes.push({
-                shape: ShapeRenderer.getRandomShape(),
+                shape: ShapeRenderer.getRandomShape(random, getPool('shape')),
                 color: targetColor,
-                size: ShapeRenderer.getRandomSize()
+                size: ShapeRenderer.getRandomSize(random, CONFIG.sizes)
             });
         }
         
         // Add distractor shapes
-        const distractorCount = 3 + Math.floor(Math.random() * 4); // 3-6 distractors
+        const distractorCount = 3 + Math.floor(random() * 4); // 3-6 distractors
         for (let i = 0; i < distractorCount; i++) {
             let distColor;
             do {
-                distColor = ShapeRenderer.getRandomColor();
+                distColor = ShapeRenderer.getRandomColor(random, CONFIG.colors);
             } while (distColor === targetColor);
             
             shapes.push({
-                shape: ShapeRenderer.getRandomShape(),
+                shape: ShapeRenderer.getRandomShape(random, getPool('shape')),
                 color: distColor,
-                size: ShapeRenderer.getRandomSize()
+                size: ShapeRenderer.getRandomSize(random, CONFIG.sizes)
             });
         }
         
         const correctAnswer = targetCount.toString();
         
         // Generate number options
-        const wrongNumbers = [];
-        for (let i = 1; i <= 6; i++) {
-            if (i !== targetCount) wrongNumbers.push(i.toString());
-        }
-        const wrongAnswers = wrongNumbers.sort(() => Math.random() - 0.5).slice(0, 3);
+        const options = buildOptions(correctAnswer, getNumberDistractors(targetCount, 1));
         
-        const options = shuffleArray([correctAnswer, ...wrongAnswers]);
+        const words = { color: getPromptWord('color', targetColor), count: targetCount };
+        const shuffled = shuffleArray(shapes);
         
         return {
             type: QUESTION_TYPES.COUNTING_COLOR,
-            question: `How many ${targetColor} shapes are there?`,
-            shapes: shuffleArray(shapes),
+            question: LocalePacks.text('prompts.counting_color', words),
+            shapes: shuffled,
             options,
             correctAnswer,
             highlightIndex: -1,
-            microTip: `Count all the ${targetColor} ones: ${targetCount}!`
+            countedIndexes: findMatchingIndexes(shuffled, { color: targetColor }),
+            target: { color: targetColor },
+            hiddenAttributes: [],
+            microTip: LocalePacks.text('tips.counting_color', words)
         };
     }
 
@@ -527,41 +1466,43 @@ const KineticGame = (function() {
      * Create logical challenge question (size + color filtering)
      */
     function createLogicalChallengeQuestion() {
-        const targetSize = ShapeRenderer.getRandomSize();
-        const targetColor = ShapeRenderer.getRandomColor();
-        const targetCount = 1 + Math.floor(Math.random() * 3); // 1-3 matching shapes
+        const { size: targetSize, color: targetColor } = chooseTarget(QUESTION_TYPES.LOGICAL_CHALLENGE, {
+            size: CONFIG.sizes,
+            color: CONFIG.colors
+        });
+        const targetCount = 1 + Math.floor(random() * 3); // 1-3 matching shapes
         
         const shapes = [];
         
         // Add target shapes (matching size + color)
         for (let i = 0; i < targetCount; i++) {
             shapes.push({
-                shape: ShapeRenderer.getRandomShape(),
+                shape: ShapeRenderer.getRandomShape(random, getPool('shape')),
                 color: targetColor,
                 size: targetSize
             });
         }
         
         // Add distractors (some with wrong size, some with wrong color)
-        const distractorCount = 4 + Math.floor(Math.random() * 3); // 4-6 distractors
+        const distractorCount = 4 + Math.floor(random() * 3); // 4-6 distractors
         for (let i = 0; i < distractorCount; i++) {
-            const useWrongSize = Math.random() > 0.5;
+            const useWrongSize = random() > 0.5;
             
             let distSize = targetSize;
             let distColor = targetColor;
             
             if (useWrongSize) {
                 do {
-                    distSize = ShapeRenderer.getRandomSize();
+                    distSize = ShapeRenderer.getRandomSize(random, CONFIG.sizes);
                 } while (distSize === targetSize);
             } else {
                 do {
-                    distColor = ShapeRenderer.getRandomColor();
+                    distColor = ShapeRenderer.getRandomColor(random, CONFIG.colors);
                 } while (distColor === targetColor);
             }
             
             shapes.push({
-                shape: ShapeRenderer.getRandomShape(),
+                shape: ShapeRenderer.getRandomShape(random, getPool('shape')),
                 color: distColor,
                 size: distSize
             });
@@ -570,27 +1511,908 @@ const KineticGame = (function() {
         const correctAnswer = targetCount.toString();
         
         // Generate number options
-        const wrongNumbers = [];
-        for (let i = 0; i <= 5; i++) {
-            if (i !== targetCount) wrongNumbers.push(i.toString());
+        const options = buildOptions(correctAnswer, getNumberDistractors(targetCount, 0));
+        
+        const words = {
+            size: getPromptWord('size', targetSize),
+            color: getPromptWord('color', targetColor),
+            count: targetCount
+        };
+        const shuffled = shuffleArray(shapes);
+        
+        return {
+            type: QUESTION_TYPES.LOGICAL_CHALLENGE,
+            question: LocalePacks.text('prompts.logical_challenge', words),
+            shapes: shuffled,
+            options,
+            correctAnswer,
+            highlightIndex: -1,
+            countedIndexes: findMatchingIndexes(shuffled, { size: targetSize, color: targetColor }),
+            target: { size: targetSize, color: targetColor },
+            hiddenAttributes: [],
+            microTip: LocalePacks.text('tips.logical_challenge', words)
+        };
+    }
+
+    /**
+     * Create listening question: the child hears "click the small blue circle"
+     * and taps the matching shape
+     */
+    function createListenAndTapQuestion() {
+        const target = chooseTarget(QUESTION_TYPES.LISTEN_AND_TAP, {
+            shape: getPool('shape'),
+            color: CONFIG.colors,
+            size: CONFIG.sizes
+        });
+        const numShapes = 3 + Math.floor(random() * 3); // 3-5 shapes
+        const shapes = [target];
+        
+        // Hard level uses near misses that differ from the target in one attribute
+        const nearMisses = gameState.difficulty >= 3;
+        while (shapes.length < numShapes) {
+            const distractor = nearMisses ? { ...target } : {
+                shape: ShapeRenderer.getRandomShape(random, getPool('shape')),
+                color: ShapeRenderer.getRandomColor(random, CONFIG.colors),
+                size: ShapeRenderer.getRandomSize(random, CONFIG.sizes)
+            };
+            if (nearMisses) {
+                const attribute = SeededRandom.pick(random, ['shape', 'color', 'size']);
+                distractor[attribute] = SeededRandom.pick(random, getPool(attribute));
+            }
+            if (looksDifferent(distractor, target)) {
+                shapes.push(distractor);
+            }
         }
-        const wrongAnswers = wrongNumbers.sort(() => Math.random() - 0.5).slice(0, 3);
         
-        const options = shuffleArray([correctAnswer, ...wrongAnswers]);
+        const mixed = shuffleArray(shapes);
+        const words = {
+            size: getPromptWord('size', target.size),
+            color: getPromptWord('color', target.color),
+            shape: getPromptWord('shape', target.shape)
+        };
         
-        const sizeDisplay = ShapeRenderer.getSizeDisplayName(targetSize).toLowerCase();
+        // The instruction is the English listening practice unless fully localized
+        const spokenInEnglish = CONFIG.languageMode !== 'full';
         
         return {
-            type: QUESTION_TYPES.LOGICAL_CHALLENGE,
-            question: `How many ${sizeDisplay} ${targetColor} shapes can you see?`,
-            shapes: shuffleArray(shapes),
+            type: QUESTION_TYPES.LISTEN_AND_TAP,
+            question: LocalePacks.text('prompts.listen_and_tap'),
+            spokenPrompt: spokenInEnglish
+                ? LocalePacks.englishText('speech.listen', words)
+                : LocalePacks.text('speech.listen', words),
+            spokenLang: spokenInEnglish ? 'en-US' : LocalePacks.getSpeechLang(),
+            shapes: mixed,
+            options: mixed.map(describeShapeOption),
+            correctAnswer: describeShapeOption(target),
+            answerMode: 'shape',
+            highlightIndex: -1,
+            target,
+            hiddenAttributes: [],
+            microTip: LocalePacks.text('tips.listen_and_tap', words)
+        };
+    }
+
+    /**
+     * Create tap-the-shape question: exactly one shape of the target kind is shown
+     */
+    function createTapShapeQuestion() {
+        const { shape: targetShape } = chooseTarget(QUESTION_TYPES.TAP_SHAPE, {
+            shape: getPool('shape')
+        });
+        const otherShapes = getPool('shape').filter(s => s !== targetShape);
+        const numShapes = 3 + Math.floor(random() * 3); // 3-5 shapes
+        
+        const shapes = [];
+        for (let i = 0; i < numShapes; i++) {
+            shapes.push({
+                shape: i === 0 ? targetShape : SeededRandom.pick(random, otherShapes),
+                color: ShapeRenderer.getRandomColor(random, CONFIG.colors),
+                size: ShapeRenderer.getRandomSize(random, CONFIG.sizes)
+            });
+        }
+        
+        const mixed = shuffleArray(shapes);
+        const options = mixed.map(describeShapeOption);
+        const words = { shape: getPromptWord('shape', targetShape) };
+        
+        return {
+            type: QUESTION_TYPES.TAP_SHAPE,
+            question: LocalePacks.text('prompts.tap_shape', words),
+            shapes: mixed,
             options,
+            correctAnswer: options[mixed.findIndex(s => s.shape === targetShape)],
+            answerMode: 'shape',
+            highlightIndex: -1,
+            target: { shape: targetShape },
+            hiddenAttributes: ['shape'],
+            microTip: LocalePacks.text('tips.tap_shape', words)
+        };
+    }
+
+    /**
+     * Create tap-all question: select every shape of the target color
+     */
+    function createTapAllColorQuestion() {
+        const { color: targetColor } = chooseTarget(QUESTION_TYPES.TAP_ALL_COLOR, {
+            color: CONFIG.colors
+        });
+        const targetCount = 2 + Math.floor(random() * 3); // 2-4 shapes of target color
+        const distractorCount = 3 + Math.floor(random() * 2); // 3-4 distractors
+        
+        const shapes = [];
+        for (let i = 0; i < targetCount + distractorCount; i++) {
+            let color = targetColor;
+            if (i >= targetCount) {
+                do {
+                    color = ShapeRenderer.getRandomColor(random, CONFIG.colors);
+                } while (color === targetColor);
+            }
+            shapes.push({
+                shape: ShapeRenderer.getRandomShape(random, getPool('shape')),
+                color,
+                size: ShapeRenderer.getRandomSize(random, CONFIG.sizes)
+            });
+        }
+        
+        const mixed = shuffleArray(shapes);
+        const options = mixed.map(describeShapeOption);
+        const correctOptions = options.filter((option, index) => mixed[index].color === targetColor);
+        const words = { color: getPromptWord('color', targetColor), count: targetCount };
+        
+        return {
+            type: QUESTION_TYPES.TAP_ALL_COLOR,
+            question: LocalePacks.text('prompts.tap_all_color', words),
+            shapes: mixed,
+            options,
+            correctOptions,
+            correctAnswer: correctOptions.join(', '),
+            answerMode: 'shapes',
+            highlightIndex: -1,
+            target: { color: targetColor },
+            hiddenAttributes: [],
+            microTip: LocalePacks.text('tips.tap_all_color', words)
+        };
+    }
+
+    /**
+     * Create comparative question: two copies of a shape, "Which one is bigger?"
+     */
+    function createSizeCompareQuestion() {
+        const { comparison } = chooseTarget(QUESTION_TYPES.SIZE_COMPARE, {
+            comparison: ['bigger', 'smaller']
+        });
+        const shape = ShapeRenderer.getRandomShape(random, getPool('shape'));
+        const color = ShapeRenderer.getRandomColor(random, CONFIG.colors);
+        
+        const shapes = shuffleArray(pickDistinctSizes(2).map(size => ({ shape, color, size })));
+        const options = shapes.map(describeShapeOption);
+        const answerIndex = findSizeExtreme(shapes, comparison === 'bigger');
+        
+        return {
+            type: QUESTION_TYPES.SIZE_COMPARE,
+            question: LocalePacks.text(`prompts.size_compare.${comparison}`),
+            shapes,
+            options,
+            correctAnswer: options[answerIndex],
+            answerMode: 'shape',
+            highlightIndex: -1,
+            target: { comparison },
+            hiddenAttributes: ['size'],
+            microTip: LocalePacks.text(`tips.size_compare.${comparison}`)
+        };
+    }
+
+    /**
+     * Create superlative question: "Find the smallest star" among stars
+     * of different sizes and other shapes
+     */
+    function createSizeSuperlativeQuestion() {
+        const { shape: targetShape, comparison } = chooseTarget(QUESTION_TYPES.SIZE_SUPERLATIVE, {
+            shape: getPool('shape'),
+            comparison: ['biggest', 'smallest']
+        });
+        const otherShapes = getPool('shape').filter(s => s !== targetShape);
+        
+        const candidates = pickDistinctSizes(3).map(size => ({
+            shape: targetShape,
+            color: ShapeRenderer.getRandomColor(random, CONFIG.colors),
+            size
+        }));
+        
+        // Other shapes may be bigger or smaller still, so only the target shape counts
+        const distractors = [0, 1].map(() => ({
+            shape: SeededRandom.pick(random, otherShapes),
+            color: ShapeRenderer.getRandomColor(random, CONFIG.colors),
+            size: ShapeRenderer.getRandomSize(random, getPool('size'))
+        }));
+        
+        const answer = candidates[findSizeExtreme(candidates, comparison === 'biggest')];
+        const shapes = shuffleArray([...candidates, ...distractors]);
+        const options = shapes.map(describeShapeOption);
+        const words = { shape: getPromptWord('shape', targetShape) };
+        
+        return {
+            type: QUESTION_TYPES.SIZE_SUPERLATIVE,
+            question: LocalePacks.text(`prompts.size_superlative.${comparison}`, words),
+            shapes,
+            options,
+            correctAnswer: options[shapes.indexOf(answer)],
+            answerMode: 'shape',
+            highlightIndex: -1,
+            target: { shape: targetShape, comparison },
+            hiddenAttributes: ['size'],
+            microTip: LocalePacks.text(`tips.size_superlative.${comparison}`, words)
+        };
+    }
+
+    /**
+     * Create ordering question: tap three shapes from small to big (or big to small)
+     */
+    function createSizeOrderQuestion() {
+        const { direction } = chooseTarget(QUESTION_TYPES.SIZE_ORDER, {
+            direction: ['ascending', 'descending']
+        });
+        
+        // One kind of shape, so proportions (wide ovals, tall triangles) do not mislead
+        const shape = ShapeRenderer.getRandomShape(random, getPool('shape'));
+        const sorted = pickDistinctSizes(3)
+            .map(size => ({
+                shape,
+                color: ShapeRenderer.getRandomColor(random, CONFIG.colors),
+                size
+            }))
+            .sort((a, b) => getSizeMultiplier(a.size) - getSizeMultiplier(b.size));
+        if (direction === 'descending') sorted.reverse();
+        
+        // Never show the shapes already in order
+        let shapes;
+        do {
+            shapes = shuffleArray(sorted);
+        } while (shapes.every((shape, index) => shape === sorted[index]));
+        
+        const options = shapes.map(describeShapeOption);
+        const correctOptions = sorted.map(describeShapeOption);
+        
+        return {
+            type: QUESTION_TYPES.SIZE_ORDER,
+            question: LocalePacks.text(`prompts.size_order.${direction}`),
+            shapes,
+            options,
+            correctOptions,
+            correctAnswer: correctOptions.join(', '),
+            answerMode: 'sequence',
+            highlightIndex: -1,
+            target: { direction },
+            hiddenAttributes: ['size'],
+            microTip: LocalePacks.text(`tips.size_order.${direction}`)
+        };
+    }
+
+    /**
+     * Create sorting activity: drag each shape into the box for its
+     * shape, color or size (two boxes, or three on the hard level)
+     */
+    function createSortQuestion() {
+        const { sortBy } = chooseTarget(QUESTION_TYPES.SORT_INTO_BINS, {
+            sortBy: ['shape', 'color', 'size']
+        });
+        const binCount = gameState.difficulty >= 3 ? 3 : 2;
+        
+        // Box values; sizes must be clearly apart to sort by them
+        const values = sortBy === 'size'
+            ? pickDistinctSizes(binCount)
+            : shuffleArray(getPool(sortBy)).slice(0, binCount);
+        
+        const itemCount = binCount * 2 + Math.floor(random() * 2); // 2+ shapes per box
+        const shapes = [];
+        for (let i = 0; i < itemCount; i++) {
+            shapes.push({
+                shape: ShapeRenderer.getRandomShape(random, getPool('shape')),
+                color: ShapeRenderer.getRandomColor(random, CONFIG.colors),
+                size: ShapeRenderer.getRandomSize(random, CONFIG.sizes),
+                // Every box gets at least one shape
+                [sortBy]: values[i % values.length]
+            });
+        }
+        
+        const mixed = shuffleArray(shapes);
+        
+        return {
+            type: QUESTION_TYPES.SORT_INTO_BINS,
+            question: LocalePacks.text(`prompts.sort_into_bins.${sortBy}`),
+            shapes: mixed,
+            options: mixed.map(describeShapeOption),
+            bins: values.map(value => ({ value, label: getConceptName(sortBy, value) })),
+            sortBy,
+            correctAnswer: `${mixed.length}/${mixed.length}`,
+            answerMode: 'sort',
+            timeScale: 2,
+            highlightIndex: -1,
+            target: { sortBy },
+            hiddenAttributes: [],
+            microTip: LocalePacks.text(`tips.sort_into_bins.${sortBy}`)
+        };
+    }
+
+    /**
+     * Values each attribute could take in a pattern with these letters,
+     * for the attributes with a value for every letter. Sizes in a
+     * pattern must all look different.
+     * @param {string[]} letters - Distinct letters of the pattern unit
+     * @returns {Object<string, string[]>}
+     */
+    function getPatternPools(letters) {
+        const pools = {
+            shape: getPool('shape'),
+            color: CONFIG.colors,
+            size: getDistinctPoolSizes()
+        };
+        return Object.fromEntries(Object.entries(pools).filter(([, values]) => values.length >= letters.length));
+    }
+
+    /**
+     * Pattern units of the current difficulty that the teacher's choices can fill
+     * @returns {string[]}
+     */
+    function getPatternUnits() {
+        return PATTERN_UNITS[gameState.difficulty].filter(unit =>
+            Object.keys(getPatternPools([...new Set(unit)])).length > 0
+        );
+    }
+
+    /**
+     * Create pattern question: a repeating sequence (red, blue, red, blue, ...)
+     * where only one attribute changes, and the learner picks the shape that
+     * fills the gap at the end. Options are shown as shapes.
+     */
+    function createPatternQuestion() {
+        const unit = SeededRandom.pick(random, getPatternUnits());
+        const letters = [...new Set(unit)];
+        const pools = getPatternPools(letters);
+        const { patternBy } = chooseTarget(QUESTION_TYPES.PATTERN_COMPLETION, {
+            patternBy: Object.keys(pools)
+        });
+        
+        // Everything but the pattern attribute stays the same, at the teacher's smallest size
+        const base = {
+            shape: ShapeRenderer.getRandomShape(random, getPool('shape')),
+            color: ShapeRenderer.getRandomColor(random, CONFIG.colors),
+            size: getPool('size').reduce((smallest, size) =>
+                (getSizeMultiplier(size) < getSizeMultiplier(smallest) ? size : smallest))
+        };
+        const values = shuffleArray(pools[patternBy]);
+        const valueOf = letter => values[letters.indexOf(letter)];
+        const itemFor = letter => ({ ...base, [patternBy]: valueOf(letter) });
+        
+        // At least two full repeats, sometimes stopping part-way through a third
+        const visibleCount = Math.min(
+            unit.length * 2 + Math.floor(random() * unit.length),
+            PATTERN_MAX_VISIBLE
+        );
+        const sequence = [];
+        for (let i = 0; i < visibleCount; i++) {
+            sequence.push(itemFor(unit[i % unit.length]));
+        }
+        const answer = itemFor(unit[visibleCount % unit.length]);
+        
+        // Values from the pattern make the best distractors, so they come first.
+        // A pool smaller than the option count gives fewer options.
+        const others = values.filter(value => value !== answer[patternBy]);
+        const inPattern = others.filter(value => letters.some(letter => valueOf(letter) === value));
+        const wrongValues = [...inPattern, ...others.filter(value => !inPattern.includes(value))]
+            .slice(0, getOptionCount() - 1);
+        const optionShapes = shuffleArray([answer, ...wrongValues.map(value => ({ ...base, [patternBy]: value }))]);
+        
+        const words = {
+            unit: [...unit].map(letter => getPromptWord(patternBy, valueOf(letter))).join(', '),
+            answer: getPromptWord(patternBy, answer[patternBy])
+        };
+        
+        return {
+            type: QUESTION_TYPES.PATTERN_COMPLETION,
+            question: LocalePacks.text('prompts.pattern_completion'),
+            shapes: [...sequence, { blank: true, size: base.size }],
+            options: optionShapes.map(describeShapeOption),
+            optionShapes,
+            correctAnswer: describeShapeOption(answer),
+            highlightIndex: -1,
+            target: { patternBy },
+            hiddenAttributes: [],
+            microTip: LocalePacks.text('tips.pattern_completion', words)
+        };
+    }
+
+    /**
+     * Create position question on a grid: "What shape is above the red circle?"
+     * or "What color is the shape next to the star?". The reference shape is
+     * the only one matching its description, and every other shape is kept out
+     * of the cells the position word could point to, so there is one answer.
+     */
+    function createPositionQuestion() {
+        // Ask about the shape or the color of the answer (a review item decides which)
+        const forced = gameState.forcedTarget || {};
+        const ask = ['shape', 'color'].find(key => key in forced) || SeededRandom.pick(random, ['shape', 'color']);
+        const target = chooseTarget(QUESTION_TYPES.POSITION_WORDS, {
+            relation: POSITION_RELATIONS[gameState.difficulty],
+            [ask]: getPool(ask)
+        });
+        const { relation } = target;
+        const { rows, columns, count } = POSITION_GRIDS[gameState.difficulty];
+        const offsets = POSITION_OFFSETS[relation];
+        
+        // "Next to" may point either way along the row
+        const [dRow, dCol] = relation === 'next' && random() < 0.5 ? [0, -1] : offsets.answer;
+        const inGrid = (row, col) => row >= 0 && row < rows && col >= 0 && col < columns;
+        
+        const cells = [];
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < columns; col++) {
+                cells.push({ row, col });
+            }
+        }
+        const refCell = SeededRandom.pick(random, cells.filter(c => inGrid(c.row + dRow, c.col + dCol)));
+        const answerCell = { row: refCell.row + dRow, col: refCell.col + dCol };
+        const freeCells = shuffleArray(cells.filter(c => 
+            !(c.row === refCell.row && c.col === refCell.col) &&
+            !offsets.inBand(c.row - refCell.row, c.col - refCell.col)
+        )).slice(0, count - 2);
+        
+        const randomShape = () => ({
+            shape: ShapeRenderer.getRandomShape(random, getPool('shape')),
+            color: ShapeRenderer.getRandomColor(random, CONFIG.colors),
+            size: ShapeRenderer.getRandomSize(random, CONFIG.sizes)
+        });
+        const answer = { ...randomShape(), ...answerCell, [ask]: target[ask] };
+        
+        // The reference differs from the answer in what is asked, when the pool allows
+        const reference = { ...randomShape(), ...refCell };
+        const referenceValues = getPool(ask).filter(value => value !== answer[ask]);
+        if (referenceValues.length > 0) {
+            reference[ask] = SeededRandom.pick(random, referenceValues);
+        }
+        
+        // Nothing else may match the reference's description; cells that
+        // cannot be filled otherwise (tiny teacher pools) stay empty
+        const describedBy = ask === 'shape' ? ['shape', 'color'] : ['shape'];
+        const matchesReference = shape => describedBy.every(key => shape[key] === reference[key]);
+        const otherShapes = getPool('shape').filter(name => name !== reference.shape);
+        if (matchesReference(answer) && otherShapes.length > 0) {
+            answer.shape = SeededRandom.pick(random, otherShapes);
+        }
+        const others = freeCells
+            .map(cell => {
+                for (let attempt = 0; attempt < 20; attempt++) {
+                    const shape = randomShape();
+                    if (!matchesReference(shape)) return { ...shape, ...cell };
+                }
+                return null;
+            })
+            .filter(Boolean);
+        
+        // Reading order, so screen readers list the grid row by row
+        const shapes = [reference, answer, ...others]
+            .sort((a, b) => a.row - b.row || a.col - b.col);
+        
+        const correctAnswer = getConceptName(ask, answer[ask]);
+        const wrongAnswers = getPool(ask)
+            .filter(value => value !== answer[ask])
+            .map(value => getConceptName(ask, value));
+        
+        const words = {
+            relation: LocalePacks.text(`relations.${relation}`),
+            shape: getPromptWord('shape', reference.shape),
+            color: getPromptWord('color', reference.color),
+            answer: getPromptWord(ask, answer[ask])
+        };
+        
+        return {
+            type: QUESTION_TYPES.POSITION_WORDS,
+            question: LocalePacks.text(`prompts.position_words.${ask}`, words),
+            shapes,
+            layout: { mode: 'grid', rows, columns },
+            options: buildOptions(correctAnswer, wrongAnswers),
+            correctAnswer,
+            highlightIndex: -1,
+            target,
+            hiddenAttributes: [],
+            microTip: LocalePacks.text(`tips.position_words.${ask}`, words)
+        };
+    }
+
+    /**
+     * Scenes built only from the teacher's shapes and colors. White and black
+     * are not taught as colors, so parts in them are always allowed.
+     * @returns {string[]}
+     */
+    function getPlayableScenes() {
+        const taughtColors = ShapeRenderer.getPlayableColorNames();
+        return ShapeRenderer.getSceneNames().filter(scene =>
+            ShapeRenderer.SCENES[scene].parts.every(part =>
+                CONFIG.shapes.includes(part.shape) &&
+                (CONFIG.colors.includes(part.color) || !taughtColors.includes(part.color))
+            )
+        );
+    }
+
+    /**
+     * Create picture question about a scene built from shapes:
+     * "How many triangles are in the rocket?" or "What shape is the roof?"
+     */
+    function createSceneQuestion() {
+        const { scene, ask } = chooseTarget(QUESTION_TYPES.SCENE_SHAPES, {
+            scene: getPlayableScenes(),
+            ask: ['count', 'part']
+        });
+        const { parts } = ShapeRenderer.SCENES[scene];
+        const sceneWord = getPromptWord('scene', scene);
+        
+        if (ask === 'count') {
+            const shape = SeededRandom.pick(random, [...new Set(parts.map(part => part.shape))]);
+            const count = parts.filter(part => part.shape === shape).length;
+            const words = { scene: sceneWord, shape: getPromptWord('shape', shape), shapes: getPromptWord('shapes', shape), count };
+            
+            return {
+                type: QUESTION_TYPES.SCENE_SHAPES,
+                question: LocalePacks.text('prompts.scene_shapes.count', words),
+                scene,
+                shapes: [],
+                options: buildOptions(count.toString(), getNumberDistractors(count, 0)),
+                correctAnswer: count.toString(),
+                highlightIndex: -1,
+                target: { scene, ask },
+                hiddenAttributes: [],
+                microTip: LocalePacks.text('tips.scene_shapes.count', {
+                    ...words,
+                    shapes: count === 1 ? words.shape : words.shapes
+                })
+            };
+        }
+        
+        const part = SeededRandom.pick(random, parts);
+        const correctAnswer = getConceptName('shape', part.shape);
+        const wrongAnswers = getPool('shape')
+            .filter(s => s !== part.shape)
+            .map(s => getConceptName('shape', s));
+        const words = { scene: sceneWord, part: getPromptWord('part', part.name), shape: getPromptWord('shape', part.shape) };
+        
+        return {
+            type: QUESTION_TYPES.SCENE_SHAPES,
+            question: LocalePacks.text('prompts.scene_shapes.part', words),
+            scene,
+            shapes: [],
+            options: buildOptions(correctAnswer, wrongAnswers),
             correctAnswer,
             highlightIndex: -1,
-            microTip: `Look for ${sizeDisplay} + ${targetColor}: ${targetCount}!`
+            target: { scene, ask },
+            hiddenAttributes: ['shape'],
+            microTip: LocalePacks.text('tips.scene_shapes.part', words)
         };
     }
 
+    /**
+     * Create sides question about one shape: "How many sides does a hexagon have?"
+     * (or corners). Only straight-sided shapes with few sides are asked about.
+     */
+    function createShapeSidesQuestion() {
+        const { shape, property } = chooseTarget(QUESTION_TYPES.SHAPE_SIDES, {
+            shape: getCountableShapes(),
+            property: ['sides', 'corners']
+        });
+        const count = ShapeRenderer.getShapeProperties(shape)[property];
+        const words = { shape: getPromptWord('shape', shape), count };
+        
+        return {
+            type: QUESTION_TYPES.SHAPE_SIDES,
+            question: LocalePacks.text(`prompts.shape_sides.${property}`, words),
+            shapes: [{
+                shape,
+                color: ShapeRenderer.getRandomColor(random, CONFIG.colors),
+                size: getLargestPoolSize()
+            }],
+            options: buildOptions(count.toString(), getNumberDistractors(count, 0)),
+            correctAnswer: count.toString(),
+            highlightIndex: 0,
+            target: { shape, property },
+            hiddenAttributes: ['clue'],
+            microTip: LocalePacks.text(`tips.shape_sides.${property}`, words)
+        };
+    }
+
+    /**
+     * Shapes whose sides can be counted: straight-sided with few sides,
+     * from all selected shapes when none at this difficulty qualify
+     * @returns {string[]}
+     */
+    function getCountableShapes() {
+        const countable = pool => pool.filter(shape => {
+            const properties = ShapeRenderer.getShapeProperties(shape);
+            return properties && properties.curvedSides === 0 && properties.sides <= MAX_COUNTED_SIDES;
+        });
+        const atLevel = countable(getPool('shape'));
+        return atLevel.length > 0 ? atLevel : countable(CONFIG.shapes);
+    }
+
+    /**
+     * Rules a property question can ask and the shapes to show, from all
+     * selected shapes when those at this difficulty allow no rule
+     * @returns {{candidates: Object[], distractorCount: number, rules: string[], answersFor: function(Object): Object[]}}
+     */
+    function getShapePropertyChoices() {
+        const distractorCount = gameState.difficulty >= 3 ? 3 : 2;
+        const choicesFrom = pool => {
+            const candidates = pool
+                .map(shape => ({ shape, properties: ShapeRenderer.getShapeProperties(shape) }))
+                .filter(c => c.properties);
+            
+            // Possible answers for a rule: shapes with enough shapes left that lack the property
+            const answersFor = rule => candidates.filter(answer => {
+                const count = rule.countOf ? rule.countOf(answer.properties) : undefined;
+                if (count === null || !rule.matches(answer.properties, count)) return false;
+                return candidates.filter(c => !rule.matches(c.properties, count)).length >= distractorCount;
+            });
+            
+            const rules = Object.keys(SHAPE_PROPERTY_RULES).filter(name =>
+                SHAPE_PROPERTY_RULES[name].level <= Math.max(gameState.difficulty, 2) &&
+                answersFor(SHAPE_PROPERTY_RULES[name]).length > 0
+            );
+            return { candidates, distractorCount, rules, answersFor };
+        };
+        
+        const atLevel = choicesFrom(getPool('shape'));
+        return atLevel.rules.length > 0 ? atLevel : choicesFrom(CONFIG.shapes);
+    }
+
+    /**
+     * Create property question: tap the one shape that has no corners,
+     * a curved side, five sides, ... The other shapes shown all lack it.
+     */
+    function createShapePropertyQuestion() {
+        const { candidates, distractorCount, rules, answersFor } = getShapePropertyChoices();
+        const { rule: ruleName } = chooseTarget(QUESTION_TYPES.SHAPE_PROPERTY, { rule: rules });
+        const rule = SHAPE_PROPERTY_RULES[ruleName];
+        const answer = SeededRandom.pick(random, answersFor(rule));
+        const count = rule.countOf ? rule.countOf(answer.properties) : undefined;
+        const distractors = shuffleArray(candidates.filter(c => !rule.matches(c.properties, count)))
+            .slice(0, distractorCount);
+        
+        const shapes = shuffleArray([answer, ...distractors].map(({ shape }) => ({
+            shape,
+            color: ShapeRenderer.getRandomColor(random, CONFIG.colors),
+            size: getLargestPoolSize()
+        })));
+        const options = shapes.map(describeShapeOption);
+        const words = { shape: getPromptWord('shape', answer.shape), count };
+        
+        return {
+            type: QUESTION_TYPES.SHAPE_PROPERTY,
+            question: LocalePacks.text(`prompts.shape_property.${ruleName}`, words),
+            shapes,
+            options,
+            correctAnswer: options[shapes.findIndex(s => s.shape === answer.shape)],
+            answerMode: 'shape',
+            highlightIndex: -1,
+            target: { rule: ruleName },
+            hiddenAttributes: ['shape', 'clue'],
+            microTip: LocalePacks.text(`tips.shape_property.${ruleName}`, words)
+        };
+    }
+
+    /**
+     * Pick size names whose multipliers are all visibly apart, from the
+     * teacher's sizes where they allow it.
+     * Works for up to three sizes with the five SIZES levels.
+     * @param {number} count 
+     * @returns {string[]}
+     */
+    function pickDistinctSizes(count) {
+        const pool = getPool('size');
+        const others = ShapeRenderer.getSizeNames().filter(size => !pool.includes(size));
+        const chosen = [];
+        // The teacher's sizes come first; other sizes are only used when too few
+        // of theirs look different, since comparing look-alike sizes is unfair
+        [...shuffleArray(pool), ...shuffleArray(others)].forEach(size => {
+            if (chosen.length < count && chosen.every(other => sizesLookDifferent(size, other))) {
+                chosen.push(size);
+            }
+        });
+        return chosen;
+    }
+
+    /**
+     * Indexes of the shapes that have all the given attributes
+     * @param {Object[]} shapes 
+     * @param {Object} attributes - e.g. { size: 'big', color: 'red' }
+     * @returns {number[]}
+     */
+    function findMatchingIndexes(shapes, attributes) {
+        return shapes
+            .map((shape, index) => (Object.keys(attributes).every(key => shape[key] === attributes[key]) ? index : -1))
+            .filter(index => index !== -1);
+    }
+
+    /**
+     * Index of the biggest (or smallest) shape
+     * @param {{size: string}[]} shapes 
+     * @param {boolean} biggest 
+     * @returns {number}
+     */
+    function findSizeExtreme(shapes, biggest) {
+        const multipliers = shapes.map(shape => getSizeMultiplier(shape.size));
+        const extreme = biggest ? Math.max(...multipliers) : Math.min(...multipliers);
+        return multipliers.indexOf(extreme);
+    }
+
+    /**
+     * Size multiplier from ShapeRenderer.SIZES
+     * @param {string} size 
+     * @returns {number}
+     */
+    function getSizeMultiplier(size) {
+        return ShapeRenderer.SIZES[size].multiplier;
+    }
+
+    /**
+     * Answer value of a tappable shape, e.g. "small blue circle"
+     * @param {{shape: string, color: string, size: string}} shape 
+     * @returns {string}
+     */
+    function describeShapeOption(shape) {
+        return ShapeRenderer.describeShape(shape.shape, shape.color, shape.size);
+    }
+
+    /**
+     * Whether a child can tell two shapes apart; same shape and color
+     * only count as different when the sizes are clearly apart
+     * @param {{shape: string, color: string, size: string}} a 
+     * @param {{shape: string, color: string, size: string}} b 
+     * @returns {boolean}
+     */
+    function looksDifferent(a, b) {
+        if (a.shape !== b.shape || a.color !== b.color) return true;
+        return sizesLookDifferent(a.size, b.size);
+    }
+
+    /**
+     * The largest of the teacher's sizes
+     * @returns {string}
+     */
+    function getLargestPoolSize() {
+        return getPool('size').reduce((largest, size) =>
+            (getSizeMultiplier(size) > getSizeMultiplier(largest) ? size : largest));
+    }
+
+    /**
+     * As many of the teacher's sizes as can all look different, smallest first
+     * @returns {string[]}
+     */
+    function getDistinctPoolSizes() {
+        const sorted = [...getPool('size')].sort((a, b) => getSizeMultiplier(a) - getSizeMultiplier(b));
+        return sorted.reduce((chosen, size) => (
+            chosen.length === 0 || sizesLookDifferent(size, chosen[chosen.length - 1]) ? [...chosen, size] : chosen
+        ), []);
+    }
+
+    /**
+     * Whether two sizes are clearly apart
+     * @param {string} a 
+     * @param {string} b 
+     * @returns {boolean}
+     */
+    function sizesLookDifferent(a, b) {
+        return Math.abs(getSizeMultiplier(a) - getSizeMultiplier(b)) >= MIN_VISIBLE_SIZE_GAP;
+    }
+
+    // ==================== ANSWER OPTIONS ====================
+
+    /**
+     * Number of answer options for the current difficulty
+     * @returns {number}
+     */
+    function getOptionCount() {
+        return CONFIG.answerOptions[gameState.difficulty];
+    }
+
+    /**
+     * Mix the correct answer with enough distractors for the current difficulty.
+     * Small pools (e.g. five sizes with six options) give as many as they have.
+     * @param {string} correctAnswer 
+     * @param {string[]} distractors - Candidate wrong answers
+     * @returns {string[]}
+     */
+    function buildOptions(correctAnswer, distractors) {
+        const wrongAnswers = shuffleArray(distractors).slice(0, getOptionCount() - 1);
+        return shuffleArray([correctAnswer, ...wrongAnswers]);
+    }
+
+    /**
+     * Wrong counts near the correct one. The range around the answer widens
+     * with the number of options needed so the answer is not always in the middle.
+     * @param {number} correctCount 
+     * @param {number} min - Smallest count that can be offered
+     * @returns {string[]}
+     */
+    function getNumberDistractors(correctCount, min) {
+        const needed = getOptionCount() - 1;
+        let range = needed;
+        let candidates = [];
+        
+        while (candidates.length < needed) {
+            candidates = [];
+            for (let n = Math.max(min, correctCount - range); n <= correctCount + range; n++) {
+                if (n !== correctCount) candidates.push(n.toString());
+            }
+            range++;
+        }
+        
+        return candidates;
+    }
+
+    // ==================== COMBINATION TRACKING ====================
+
+    /**
+     * Build a stable key for a question's target combination
+     * @param {string} type - Question type
+     * @param {Object} target - Target attributes, e.g. { shape, color }
+     * @returns {string}
+     */
+    function combinationKey(type, target) {
+        const attributes = Object.keys(target).sort().map(key => `${key}=${target[key]}`);
+        return [type, ...attributes].join('|');
+    }
+
+    /**
+     * Expand attribute value lists into every possible target combination
+     * @param {Object<string, string[]>} attributes - e.g. { shape: [...], color: [...] }
+     * @returns {Object[]}
+     */
+    function expandCombinations(attributes) {
+        return Object.entries(attributes).reduce((combinations, [key, values]) => {
+            return combinations.flatMap(combination => 
+                values.map(value => ({ ...combination, [key]: value }))
+            );
+        }, [{}]);
+    }
+
+    /**
+     * Choose a target combination that has not been used within the
+     * last CONFIG.minCombinationsBeforeRepeat questions. When every
+     * combination is inside that window (small pools such as the seven
+     * shapes), the one used longest ago is chosen instead.
+     * A review target in gameState.forcedTarget narrows the candidates first.
+     * @param {string} type - Question type
+     * @param {Object<string, string[]>} attributes - Candidate values per target attribute
+     * @returns {Object}
+     */
+    function chooseTarget(type, attributes) {
+        const forced = gameState.forcedTarget || {};
+        const allCandidates = expandCombinations(attributes);
+        const forcedCandidates = allCandidates.filter(c => 
+            Object.keys(forced).every(key => !(key in c) || c[key] === forced[key])
+        );
+        const candidates = forcedCandidates.length > 0 ? forcedCandidates : allCandidates;
+        const used = gameState.usedCombinations;
+        const recent = used.slice(-CONFIG.minCombinationsBeforeRepeat);
+        
+        const fresh = candidates.filter(c => !recent.includes(combinationKey(type, c)));
+        if (fresh.length > 0) {
+            return SeededRandom.pick(random, fresh);
+        }
+        
+        // Pool exhausted: fall back to the least recently used combinations
+        const lastUsed = candidates.map(c => used.lastIndexOf(combinationKey(type, c)));
+        const oldest = Math.min(...lastUsed);
+        return SeededRandom.pick(random, candidates.filter((c, i) => lastUsed[i] === oldest));
+    }
+
+    /**
+     * Remember a question's target combination
+     * @param {string} type - Question type
+     * @param {Object} target - Target attributes
+     */
+    function recordCombination(type, target) {
+        gameState.usedCombinations.push(combinationKey(type, target));
+    }
+
     // ==================== RENDERING ====================
 
     /**
@@ -601,27 +2423,265 @@ const KineticGame = (function() {
         // Update question text
         DOM.game.questionText.textContent = questionData.question;
         
-        // Render shapes
-        ShapeRenderer.renderShapes(
-            DOM.game.shapeDisplay, 
-            questionData.shapes, 
-            questionData.highlightIndex
-        );
+        // Render shapes (as buttons when the answer is one or more shapes)
+        const selectMode = SHAPE_SELECT_MODES[questionData.answerMode] || 'none';
+        if (questionData.scene) {
+            ShapeRenderer.renderScene(DOM.game.shapeDisplay, questionData.scene, questionData.hiddenAttributes);
+        } else {
+            ShapeRenderer.renderShapes(
+                DOM.game.shapeDisplay, 
+                questionData.shapes, 
+                questionData.highlightIndex,
+                questionData.hiddenAttributes,
+                selectMode,
+                questionData.layout
+            );
+        }
         
         // Render answer options
-        DOM.game.answerOptions.innerHTML = '';
-        questionData.options.forEach(option => {
-            const btn = document.createElement('button');
-            btn.className = 'answer-btn';
-            btn.textContent = option;
-            btn.addEventListener('click', () => handleAnswer(option, btn));
-            DOM.game.answerOptions.appendChild(btn);
-        });
+        if (questionData.answerMode === 'sort') {
+            DOM.game.answerOptions.replaceChildren();
+            renderSortAnswer(questionData);
+        } else if (selectMode !== 'none') {
+            DOM.game.answerOptions.replaceChildren();
+            renderShapeAnswer(questionData, selectMode);
+        } else {
+            renderOptionButtons(questionData);
+        }
         
         // Clear feedback
         DOM.game.feedbackMessage.textContent = '';
         DOM.game.feedbackMessage.className = 'feedback-message';
         DOM.game.microTip.textContent = '';
+        
+        announceQuestion(questionData);
+        
+        // Listening questions are always spoken; they cannot be answered otherwise
+        const replayLabel = LocalePacks.text('hints.replay');
+        DOM.game.replayBtn.setAttribute('aria-label', replayLabel);
+        DOM.game.replayBtn.title = replayLabel;
+        if (CONFIG.speakQuestions || questionData.spokenPrompt) {
+            speakQuestion(false);
+        }
+        
+        if (CONFIG.switchScanning) {
+            startScanning(() => getEnabledAnswerButtons());
+        } else {
+            getEnabledAnswerButtons()[0].focus();
+        }
+    }
+
+    /**
+     * Show the options as answer buttons. A button whose option was also
+     * offered in the last question is kept in place and made ready again.
+     * @param {Object} questionData
+     */
+    function renderOptionButtons(questionData) {
+        const container = DOM.game.answerOptions;
+        const previous = new Map(
+            [...container.querySelectorAll('.answer-btn[data-key]')].map(btn => [btn.dataset.key, btn])
+        );
+        
+        const buttons = questionData.options.map((option, index) => {
+            const optionShape = questionData.optionShapes && questionData.optionShapes[index];
+            const key = optionShape
+                ? `${option}|${optionShape.shape}-${optionShape.color}-${optionShape.size}`
+                : option;
+            let btn = previous.get(key);
+            if (btn) {
+                btn.disabled = false;
+                btn.classList.remove('correct', 'incorrect', 'scan-focus');
+                btn.querySelector('.answer-key').textContent = index + 1;
+            } else {
+                btn = document.createElement('button');
+                btn.className = 'answer-btn';
+                btn.dataset.option = option;
+                btn.dataset.key = key;
+                btn.innerHTML = `<span class="answer-key" aria-hidden="true">${index + 1}</span>`;
+                if (optionShape) {
+                    // Options drawn as shapes; the SVG's label names the button
+                    const { shape, color, size } = optionShape;
+                    btn.classList.add('answer-btn-shape');
+                    btn.insertAdjacentHTML('beforeend', ShapeRenderer.createShapeSVG(shape, color, size, false, option));
+                } else {
+                    btn.appendChild(document.createTextNode(option));
+                }
+            }
+            // A property rather than a listener, so kept buttons do not pile up handlers
+            btn.onclick = () => handleAnswer(option, btn);
+            return btn;
+        });
+        
+        // Anything else (hints, a Check button, options not offered now) belonged to the last question
+        [...container.children].forEach(child => {
+            if (!buttons.includes(child)) child.remove();
+        });
+        buttons.forEach((btn, index) => {
+            if (container.children[index] !== btn) {
+                container.insertBefore(btn, container.children[index] || null);
+            }
+        });
+        container.dataset.count = buttons.length;
+    }
+
+    /**
+     * Set up answering by tapping shapes: one tap answers, or with
+     * multi-select the child taps every match (or every shape in order)
+     * and then presses Check
+     * @param {Object} questionData 
+     * @param {'single'|'multiple'|'ordered'} selectMode 
+     */
+    function renderShapeAnswer(questionData, selectMode) {
+        const shapeButtons = DOM.game.shapeDisplay.querySelectorAll('.shape-choice');
+        shapeButtons.forEach((btn, index) => {
+            btn.dataset.option = questionData.options[index];
+        });
+        DOM.game.answerOptions.dataset.count = 0;
+        
+        const hint = document.createElement('p');
+        hint.className = 'options-hint';
+        DOM.game.answerOptions.appendChild(hint);
+        
+        if (selectMode === 'single') {
+            hint.textContent = LocalePacks.text('hints.tapShape');
+            shapeButtons.forEach(btn => {
+                btn.addEventListener('click', () => handleAnswer(btn.dataset.option, btn));
+            });
+            return;
+        }
+        
+        const ordered = selectMode === 'ordered';
+        hint.textContent = LocalePacks.text(ordered ? 'hints.tapOrder' : 'hints.tapAll');
+        
+        const checkBtn = document.createElement('button');
+        checkBtn.className = 'answer-btn check-btn';
+        checkBtn.textContent = LocalePacks.text('hints.check');
+        checkBtn.disabled = true;
+        checkBtn.addEventListener('click', () => handleAnswer(getSelectedAnswer(), checkBtn));
+        DOM.game.answerOptions.appendChild(checkBtn);
+        
+        // Check stays disabled until something is selected (every shape, when ordering)
+        const needed = ordered ? shapeButtons.length : 1;
+        shapeButtons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                checkBtn.disabled = ShapeRenderer.getSelectedIndexes(DOM.game.shapeDisplay).length < needed;
+            });
+        });
+    }
+
+    // ==================== SORTING ====================
+
+    /**
+     * Add the labelled boxes of a sorting activity below the shapes.
+     * Shapes can be dragged into a box, or tapped and then the box tapped,
+     * which also serves keyboard and switch users.
+     * @param {Object} questionData 
+     */
+    function renderSortAnswer(questionData) {
+        const bins = document.createElement('div');
+        bins.className = 'sort-bins';
+        questionData.bins.forEach(({ value, label }) => {
+            const bin = document.createElement('div');
+            bin.className = 'sort-bin';
+            bin.dataset.value = value;
+            bin.setAttribute('role', 'group');
+            bin.setAttribute('aria-label', label);
+            
+            const target = document.createElement('button');
+            target.type = 'button';
+            target.className = 'sort-bin-target';
+            target.textContent = label;
+            target.addEventListener('click', () => {
+                const selected = DOM.game.shapeDisplay.querySelector('.shape-choice.selected');
+                if (selected) placeSortItem(selected, bin);
+            });
+            bin.appendChild(target);
+            
+            const items = document.createElement('div');
+            items.className = 'sort-bin-items';
+            bin.appendChild(items);
+            bins.appendChild(bin);
+        });
+        DOM.game.shapeDisplay.appendChild(bins);
+        
+        DOM.game.shapeDisplay.querySelectorAll('.shape-choice').forEach((btn, index) => {
+            btn.dataset.option = questionData.options[index];
+            btn.dataset.bin = questionData.shapes[index][questionData.sortBy];
+            btn.addEventListener('click', () => {
+                DOM.game.shapeDisplay.querySelectorAll('.shape-choice.selected').forEach(other => {
+                    if (other !== btn) other.classList.remove('selected');
+                });
+                btn.classList.toggle('selected');
+            });
+            DragSort.makeDraggable(btn, {
+                targetSelector: '.sort-bin',
+                onDrop: (item, bin) => placeSortItem(item, bin)
+            });
+        });
+        
+        DOM.game.answerOptions.dataset.count = 0;
+        const hint = document.createElement('p');
+        hint.className = 'options-hint';
+        hint.textContent = LocalePacks.text('hints.sort');
+        DOM.game.answerOptions.appendChild(hint);
+    }
+
+    /**
+     * Put a shape in a box. Each placement is marked and scored at once;
+     * when every shape is placed the question is answered.
+     * @param {HTMLButtonElement} btn - The shape's button
+     * @param {HTMLElement} bin - The .sort-bin it goes into
+     */
+    function placeSortItem(btn, bin) {
+        if (gameState.isAnswered || btn.disabled) return;
+        
+        const correct = btn.dataset.bin === bin.dataset.value;
+        bin.querySelector('.sort-bin-items').appendChild(btn.closest('.shape-wrapper'));
+        btn.classList.remove('selected');
+        btn.classList.add(correct ? 'correct' : 'incorrect');
+        btn.disabled = true;
+        
+        if (correct) {
+            gameState.score += CONFIG.pointsPlacement;
+            AudioManager.playClick();
+        } else {
+            AudioManager.playIncorrect();
+        }
+        announce(LocalePacks.text(correct ? 'announcements.placedRight' : 'announcements.placedWrong'));
+        updateUI();
+        
+        const shapeButtons = [...DOM.game.shapeDisplay.querySelectorAll('.shape-choice')];
+        const remaining = shapeButtons.filter(b => !b.disabled);
+        if (remaining.length > 0) {
+            // Keep keyboard users on the next shape to sort
+            if (!CONFIG.switchScanning) remaining[0].focus();
+            return;
+        }
+        
+        const placedRight = shapeButtons.filter(b => b.classList.contains('correct')).length;
+        // The last box a shape went into shows whether the whole sort was right
+        handleAnswer(`${placedRight}/${shapeButtons.length}`, bin);
+    }
+
+    /**
+     * Answer made of the selected shapes, in display (or tapping) order
+     * @returns {string}
+     */
+    function getSelectedAnswer() {
+        const { options } = gameState.currentQuestionData;
+        return ShapeRenderer.getSelectedIndexes(DOM.game.shapeDisplay)
+            .map(index => options[index])
+            .join(', ');
+    }
+
+    /**
+     * Read the current question aloud
+     * @param {boolean} interrupt - Cut off speech in progress (replay) instead of queueing
+     */
+    function speakQuestion(interrupt) {
+        const { question, spokenPrompt, spokenLang } = gameState.currentQuestionData;
+        if (interrupt) AudioManager.stopSpeaking();
+        AudioManager.speak(spokenPrompt || question, 0.9, spokenLang || LocalePacks.getSpeechLang());
     }
 
     /**
@@ -647,12 +2707,17 @@ const KineticGame = (function() {
      * Start the question timer
      */
     function startTimer() {
-        gameState.timerValue = CONFIG.timerDuration;
+        gameState.questionStartedAt = Date.now();
+        // Longer activities such as sorting get a multiple of the usual time
+        gameState.timerLimit = Math.round(CONFIG.timerDuration * (gameState.currentQuestionData.timeScale || 1));
+        gameState.timerValue = gameState.timerLimit;
         DOM.game.timerValue.textContent = gameState.timerValue;
-        DOM.game.timer.className = 'timer';
+        DOM.game.timer.className = CONFIG.timerEnabled ? 'timer' : 'timer hidden';
         
         clearInterval(gameState.timerInterval);
         
+        if (!CONFIG.timerEnabled) return;
+        
         gameState.timerInterval = setInterval(() => {
             gameState.timerValue--;
             DOM.game.timerValue.textContent = gameState.timerValue;
@@ -686,19 +2751,16 @@ const KineticGame = (function() {
         
         gameState.streak = 0;
         gameState.incorrectAnswers++;
+        updateMastery(false);
+        updateReview(false);
+        recordAnswer(null);
         
-        // Show correct answer
-        const buttons = DOM.game.answerOptions.querySelectorAll('.answer-btn');
-        buttons.forEach(btn => {
-            btn.disabled = true;
-            if (btn.textContent === gameState.currentQuestionData.correctAnswer) {
-                btn.classList.add('correct');
-            }
-        });
+        revealAnswer();
         
-        DOM.game.feedbackMessage.textContent = "⏰ Time's up!";
+        DOM.game.feedbackMessage.textContent = LocalePacks.text('feedback.timeout');
         DOM.game.feedbackMessage.className = 'feedback-message incorrect';
         DOM.game.microTip.textContent = gameState.currentQuestionData.microTip;
+        announceFeedback();
         
         showNextButton();
         updateUI();
@@ -719,25 +2781,52 @@ const KineticGame = (function() {
         
         const isCorrect = answer === gameState.currentQuestionData.correctAnswer;
         
-        // Disable all buttons
-        const buttons = DOM.game.answerOptions.querySelectorAll('.answer-btn');
-        buttons.forEach(btn => {
-            btn.disabled = true;
-            if (btn.textContent === gameState.currentQuestionData.correctAnswer) {
-                btn.classList.add('correct');
-            }
-        });
+        revealAnswer();
         
         if (isCorrect) {
             handleCorrectAnswer(button);
         } else {
             handleIncorrectAnswer(button);
         }
+        recordAnswer(answer);
+        announceFeedback();
         
         showNextButton();
         updateUI();
     }
 
+    /**
+     * Disable every answer control and mark the right answers
+     * (and wrongly selected shapes). Ordered shapes are marked by
+     * position and then renumbered in the right order; the shapes a
+     * counting question asked about are counted one by one.
+     */
+    function revealAnswer() {
+        const { correctAnswer, correctOptions = [correctAnswer], answerMode, countedIndexes } = gameState.currentQuestionData;
+        const position = btn => correctOptions.indexOf(btn.dataset.option) + 1;
+        const isCorrect = answerMode === 'sequence'
+            ? btn => position(btn) === Number(btn.dataset.order)
+            : btn => correctOptions.includes(btn.dataset.option);
+        
+        getAnswerButtons().forEach(btn => {
+            btn.disabled = true;
+            if (btn.classList.contains('answer-btn') && isCorrect(btn)) {
+                btn.classList.add('correct');
+            }
+        });
+        // Sorted shapes were marked as they were placed
+        if (answerMode !== 'sort') {
+            ShapeRenderer.markShapes(DOM.game.shapeDisplay, isCorrect);
+        }
+        
+        if (answerMode === 'sequence') {
+            ShapeRenderer.showOrder(DOM.game.shapeDisplay, position);
+        }
+        if (countedIndexes) {
+            ShapeRenderer.countShapes(DOM.game.shapeDisplay, countedIndexes);
+        }
+    }
+
     /**
      * Handle correct answer
      * @param {HTMLElement} button 
@@ -749,8 +2838,10 @@ const KineticGame = (function() {
         
         // Calculate score
         let points = CONFIG.pointsCorrect;
-        const timeBonus = Math.round((gameState.timerValue / CONFIG.timerDuration) * CONFIG.pointsTimeBonus);
-        points += timeBonus;
+        if (CONFIG.timerEnabled) {
+            const timeBonus = Math.round((gameState.timerValue / gameState.timerLimit) * CONFIG.pointsTimeBonus);
+            points += timeBonus;
+        }
         
         gameState.streak++;
         if (gameState.streak >= 2) {
@@ -762,9 +2853,11 @@ const KineticGame = (function() {
         
         gameState.score += points;
         gameState.correctAnswers++;
+        updateMastery(true);
+        updateReview(true);
         
         // Feedback
-        const messages = ["Great job! 🎉", "Excellent! ⭐", "Perfect! 🌟", "Amazing! 🏆", "Wonderful! 🎊"];
+        const messages = LocalePacks.list('feedback.correct');
         DOM.game.feedbackMessage.textContent = messages[Math.floor(Math.random() * messages.length)];
         DOM.game.feedbackMessage.className = 'feedback-message correct';
         DOM.game.microTip.textContent = gameState.currentQuestionData.microTip;
@@ -781,35 +2874,137 @@ const KineticGame = (function() {
         
         gameState.streak = 0;
         gameState.incorrectAnswers++;
+        updateMastery(false);
+        updateReview(false);
         
         // Feedback
-        DOM.game.feedbackMessage.textContent = "Not quite! Try again next time! 💪";
+        DOM.game.feedbackMessage.textContent = LocalePacks.text('feedback.incorrect');
         DOM.game.feedbackMessage.className = 'feedback-message incorrect';
         DOM.game.microTip.textContent = gameState.currentQuestionData.microTip;
     }
 
+    /**
+     * Update per-concept mastery from the current question
+     * @param {boolean} correct 
+     */
+    function updateMastery(correct) {
+        const { type, target } = gameState.currentQuestionData;
+        MasteryTracker.record(gameState.mastery, type, target, correct);
+    }
+
+    /**
+     * Record the outcome of the current question for difficulty
+     * adaptation and the learner's history
+     * @param {string|null} answer - Chosen option, or null on timeout
+     */
+    function recordAnswer(answer) {
+        const questionData = gameState.currentQuestionData;
+        
+        gameState.answerHistory.push({
+            number: gameState.currentQuestion,
+            type: questionData.type,
+            difficulty: gameState.difficulty,
+            question: questionData.question,
+            target: questionData.target,
+            answer,
+            correctAnswer: questionData.correctAnswer,
+            correct: answer === questionData.correctAnswer,
+            timedOut: answer === null,
+            responseTime: Date.now() - gameState.questionStartedAt,
+            timeLimit: gameState.timerLimit
+        });
+    }
+
+    // ==================== SCREEN READER ANNOUNCEMENTS ====================
+
+    /**
+     * Announce a message through the game's aria-live region
+     * @param {string} message 
+     */
+    function announce(message) {
+        // Clear first so a repeated message is still read out
+        DOM.game.announcer.textContent = '';
+        setTimeout(() => {
+            DOM.game.announcer.textContent = message;
+        }, 100);
+    }
+
+    /**
+     * Announce a new question and how many shapes it shows
+     * @param {Object} questionData 
+     */
+    function announceQuestion(questionData) {
+        const count = questionData.shapes.length;
+        let shapes;
+        if (questionData.scene) {
+            shapes = LocalePacks.text('announcements.scene', {
+                description: ShapeRenderer.describeScene(questionData.scene, questionData.hiddenAttributes)
+            });
+        } else if (count === 1) {
+            shapes = LocalePacks.text('announcements.oneShape', {
+                description: ShapeRenderer.describeShape(
+                    questionData.shapes[0].shape,
+                    questionData.shapes[0].color,
+                    questionData.shapes[0].size,
+                    questionData.hiddenAttributes
+                )
+            });
+        } else {
+            shapes = LocalePacks.text('announcements.shapes', { count });
+        }
+        const number = LocalePacks.text('announcements.question', {
+            number: gameState.currentQuestion,
+            total: CONFIG.totalQuestions
+        });
+        
+        announce(`${number} ${questionData.question} ${shapes}`);
+    }
+
+    /**
+     * Announce the feedback and micro-tip shown after an answer
+     */
+    function announceFeedback() {
+        const { correctAnswer, answerMode } = gameState.currentQuestionData;
+        const lastAnswer = gameState.answerHistory[gameState.answerHistory.length - 1];
+        // Each sorted shape was already announced as it was placed
+        const answerText = (lastAnswer && lastAnswer.correct) || answerMode === 'sort'
+            ? ''
+            : ` ${LocalePacks.text('announcements.answer', { answer: correctAnswer })}`;
+        
+        announce(`${DOM.game.feedbackMessage.textContent}${answerText} ${DOM.game.microTip.textContent}`);
+    }
+
     /**
      * Show next button
      */
     function showNextButton() {
         DOM.game.nextBtn.classList.remove('hidden');
         DOM.game.nextBtn.classList.add('show');
+        
+        if (CONFIG.switchScanning) {
+            startScanning(() => [DOM.game.nextBtn]);
+        } else {
+            DOM.game.nextBtn.focus();
+        }
     }
 
     // ==================== UTILITIES ====================
 
     /**
-     * Fisher-Yates shuffle
+     * Next value from the round's seeded random source
+     * @returns {number} Float in [0, 1)
+     */
+    function random() {
+        return gameState.rng();
+    }
+
+    /**
+     * Fisher-Yates shuffle using the round's random source
      * @param {Array} array 
      * @returns {Array}
      */
     function shuffleArray(array) {
-        const shuffled = [...array];
-        for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-        }
-        return shuffled;
+        return SeededRandom.shuffle(random, array);
     }
 
     /**
@@ -858,7 +3053,8 @@ const KineticGame = (function() {
     // ==================== PUBLIC API ====================
 
     return {
-        init
+        init,
+        getRoundCode: () => gameState.roundCode
     };
 })();
 
@@ -0,0 +1,226 @@
+/**
+ * Kinetic English Games – Layout Module
+ * Places shapes on one stage without overlaps: in a row, a grid,
+ * scattered or in clusters, the same way every time for the same seed
+ *
+ * @module ShapeLayout
+ */
+
+const ShapeLayout = (function() {
+    'use strict';
+
+    /** Placement modes */
+    const MODES = ['row', 'grid', 'scattered', 'clustered'];
+
+    /** Space kept between shapes, in stage units (pixels at full size) */
+    const GAP = 16;
+
+    /** Space kept around the edge of the stage */
+    const MARGIN = 8;
+
+    /** Space kept between clusters, wide enough that each reads as a group */
+    const CLUSTER_GAP = 56;
+
+    /** Stage width to height for scattered shapes */
+    const SCATTER_ASPECT = 4 / 3;
+
+    /** Stage area per unit of shape area: scattered shapes spread out, clusters stay close */
+    const SCATTER_SPACE = 2.5;
+    const CLUSTER_SPACE = 1.6;
+
+    /** Random spots tried per shape before the stage is made bigger */
+    const SCATTER_TRIES = 100;
+
+    /** How much bigger the stage gets each time, and how often before shapes go in a grid */
+    const SCATTER_GROWTH = 1.15;
+    const SCATTER_GROWTHS = 10;
+
+    /**
+     * Place boxes side by side, standing on one line so heights compare fairly
+     * @param {{width: number, height: number}[]} boxes
+     * @returns {{width: number, height: number, positions: {x: number, y: number}[]}}
+     */
+    function arrangeRow(boxes) {
+        const height = Math.max(...boxes.map(box => box.height));
+        let x = MARGIN;
+        const positions = boxes.map(box => {
+            const position = { x, y: MARGIN + height - box.height };
+            x += box.width + GAP;
+            return position;
+        });
+        return { width: x - GAP + MARGIN, height: height + 2 * MARGIN, positions };
+    }
+
+    /**
+     * Place boxes in equal cells, each centered in its cell
+     * @param {{width: number, height: number, row?: number, col?: number}[]} boxes - Boxes with a
+     *   row and col (0-based) go in that cell; the others fill the cells in reading order
+     * @param {{rows?: number, columns?: number}} [options={}] - Defaults to a near-square grid
+     * @param {number} [gap=GAP] - Space between cells
+     * @returns {{width: number, height: number, positions: {x: number, y: number}[]}}
+     */
+    function arrangeGrid(boxes, { rows, columns } = {}, gap = GAP) {
+        const columnCount = columns || Math.ceil(Math.sqrt(boxes.length));
+        const rowCount = rows || Math.ceil(boxes.length / columnCount);
+        const cellWidth = Math.max(...boxes.map(box => box.width)) + gap;
+        const cellHeight = Math.max(...boxes.map(box => box.height)) + gap;
+
+        const positions = boxes.map((box, index) => {
+            const row = box.row ?? Math.floor(index / columnCount);
+            const col = box.col ?? index % columnCount;
+            return {
+                x: MARGIN + col * cellWidth + (cellWidth - box.width) / 2,
+                y: MARGIN + row * cellHeight + (cellHeight - box.height) / 2
+            };
+        });
+        return {
+            width: columnCount * cellWidth + 2 * MARGIN,
+            height: rowCount * cellHeight + 2 * MARGIN,
+            positions
+        };
+    }
+
+    /**
+     * Whether two placed boxes come closer than the gap
+     * @param {{x: number, y: number, width: number, height: number}} a
+     * @param {{x: number, y: number, width: number, height: number}} b
+     * @returns {boolean}
+     */
+    function overlaps(a, b) {
+        return a.x < b.x + b.width + GAP && b.x < a.x + a.width + GAP &&
+            a.y < b.y + b.height + GAP && b.y < a.y + a.height + GAP;
+    }
+
+    /**
+     * Try random spots for every box on a stage of a given size
+     * @param {{width: number, height: number}[]} boxes
+     * @param {number} width
+     * @param {number} height
+     * @param {function(): number} random
+     * @returns {{x: number, y: number}[]|null} Null when some box did not fit
+     */
+    function tryScatter(boxes, width, height, random) {
+        // Biggest first: they are the hardest to fit in
+        const order = boxes.map((box, index) => index)
+            .sort((a, b) => boxes[b].width * boxes[b].height - boxes[a].width * boxes[a].height);
+        const placed = [];
+        const positions = [];
+
+        for (const index of order) {
+            const box = boxes[index];
+            let spot = null;
+            for (let tries = 0; tries < SCATTER_TRIES && !spot; tries++) {
+                const candidate = {
+                    x: Math.round(MARGIN + random() * (width - 2 * MARGIN - box.width)),
+                    y: Math.round(MARGIN + random() * (height - 2 * MARGIN - box.height)),
+                    width: box.width,
+                    height: box.height
+                };
+                if (!placed.some(other => overlaps(candidate, other))) spot = candidate;
+            }
+            if (!spot) return null;
+
+            placed.push(spot);
+            positions[index] = { x: spot.x, y: spot.y };
+        }
+        return positions;
+    }
+
+    /**
+     * Place boxes at random spots that do not overlap. The stage is sized
+     * from the boxes' area and grows until they fit; in the rare case they
+     * still do not, they go in a grid.
+     * @param {{width: number, height: number}[]} boxes
+     * @param {function(): number} random
+     * @param {number} [space=SCATTER_SPACE] - Stage area per unit of box area
+     * @returns {{width: number, height: number, positions: {x: number, y: number}[]}}
+     */
+    function arrangeScattered(boxes, random, space = SCATTER_SPACE) {
+        const area = boxes.reduce((sum, box) => sum + (box.width + GAP) * (box.height + GAP), 0) * space;
+        let width = Math.ceil(Math.max(Math.sqrt(area * SCATTER_ASPECT), ...boxes.map(box => box.width + 2 * MARGIN)));
+        let height = Math.ceil(Math.max(area / width, ...boxes.map(box => box.height + 2 * MARGIN)));
+
+        for (let growths = 0; growths < SCATTER_GROWTHS; growths++) {
+            const positions = tryScatter(boxes, width, height, random);
+            if (positions) return { width, height, positions };
+
+            width = Math.ceil(width * SCATTER_GROWTH);
+            height = Math.ceil(height * SCATTER_GROWTH);
+        }
+        return arrangeGrid(boxes);
+    }
+
+    /**
+     * Place boxes in clusters of the same group, each cluster scattered
+     * closely, and the clusters in a grid of their own
+     * @param {{width: number, height: number, group?: *}[]} boxes
+     * @param {function(): number} random
+     * @returns {{width: number, height: number, positions: {x: number, y: number}[]}}
+     */
+    function arrangeClustered(boxes, random) {
+        // Box indexes per group, groups in order of first appearance
+        const groups = new Map();
+        boxes.forEach((box, index) => {
+            if (!groups.has(box.group)) groups.set(box.group, []);
+            groups.get(box.group).push(index);
+        });
+
+        const clusters = [...groups.values()].map(indexes => ({
+            indexes,
+            ...arrangeScattered(indexes.map(index => boxes[index]), random, CLUSTER_SPACE)
+        }));
+        const stage = arrangeGrid(clusters, {}, CLUSTER_GAP);
+
+        const positions = [];
+        clusters.forEach((cluster, clusterIndex) => {
+            const origin = stage.positions[clusterIndex];
+            cluster.indexes.forEach((boxIndex, index) => {
+                positions[boxIndex] = {
+                    x: origin.x + cluster.positions[index].x,
+                    y: origin.y + cluster.positions[index].y
+                };
+            });
+        });
+        return { width: stage.width, height: stage.height, positions };
+    }
+
+    /**
+     * Place boxes on a stage. Positions are the boxes' top left corners
+     * in stage units; the same boxes, layout and seed always give the same result.
+     * @param {{width: number, height: number, row?: number, col?: number, group?: *}[]} boxes
+     * @param {Object} [layout={}]
+     * @param {string} [layout.mode='row'] - One of MODES; unknown modes use a row
+     * @param {number} [layout.rows] - Grid rows
+     * @param {number} [layout.columns] - Grid columns
+     * @param {number|string} [layout.seed=0] - Seed for scattered and clustered placement
+     * @returns {{width: number, height: number, positions: {x: number, y: number}[]}}
+     */
+    function arrange(boxes, layout = {}) {
+        if (boxes.length === 0) {
+            return { width: 2 * MARGIN, height: 2 * MARGIN, positions: [] };
+        }
+
+        const random = SeededRandom.create(layout.seed ?? 0);
+        switch (layout.mode) {
+            case 'grid':
+                return arrangeGrid(boxes, layout);
+            case 'scattered':
+                return arrangeScattered(boxes, random);
+            case 'clustered':
+                return arrangeClustered(boxes, random);
+            default:
+                return arrangeRow(boxes);
+        }
+    }
+
+    // Public API
+    return {
+        MODES,
+        arrange
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShapeLayout;
+}
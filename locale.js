@@ -0,0 +1,347 @@
+/**
+ * Kinetic English Games – Locale Module
+ * Locale packs for prompts, vocabulary, feedback and speech language
+ *
+ * @module LocalePacks
+ */
+
+const LocalePacks = (function() {
+    'use strict';
+
+    /** Folder the JSON packs are loaded from, e.g. locales/es.json */
+    const PACK_PATH = 'locales/';
+
+    /**
+     * Built-in English pack; packs loaded from JSON fall back to it key by key.
+     * English vocabulary comes from ShapeRenderer display names.
+     */
+    const ENGLISH = {
+        code: 'en',
+        name: 'English',
+        speechLang: 'en-US',
+        prompts: {
+            shape_identification: 'What shape is this?',
+            size_recognition: 'What size is this shape?',
+            color_shape: 'What color is the {shape}?',
+            counting_color: 'How many {color} shapes are there?',
+            logical_challenge: 'How many {size} {color} shapes can you see?',
+            listen_and_tap: 'Listen and tap the right shape!',
+            tap_shape: 'Tap the {shape}!',
+            tap_all_color: 'Tap all the {color} shapes!',
+            size_compare: {
+                bigger: 'Which one is bigger?',
+                smaller: 'Which one is smaller?'
+            },
+            size_superlative: {
+                biggest: 'Find the biggest {shape}!',
+                smallest: 'Find the smallest {shape}!'
+            },
+            size_order: {
+                ascending: 'Put these in order from small to big!',
+                descending: 'Put these in order from big to small!'
+            },
+            sort_into_bins: {
+                shape: 'Sort the shapes by shape!',
+                color: 'Sort the shapes by color!',
+                size: 'Sort the shapes by size!'
+            },
+            pattern_completion: 'What comes next?',
+            position_words: {
+                shape: 'What shape is {relation} the {color} {shape}?',
+                color: 'What color is the shape {relation} the {shape}?'
+            },
+            scene_shapes: {
+                count: 'How many {shapes} are in the {scene}?',
+                part: 'What shape is the {part}?'
+            },
+            shape_sides: {
+                sides: 'How many sides does the {shape} have?',
+                corners: 'How many corners does the {shape} have?'
+            },
+            shape_property: {
+                noCorners: 'Which shape has no corners?',
+                curved: 'Which shape has a curved side?',
+                straight: 'Which shape has only straight sides?',
+                sides: 'Which shape has {count} sides?',
+                symmetry: 'Which shape has {count} lines of symmetry?'
+            }
+        },
+        tips: {
+            shape_identification: 'This is a {shape}!',
+            size_recognition: '{Size}: not too big, not too small!',
+            color_shape: '{Color} + {shape} = {color} {shape}!',
+            counting_color: 'Count all the {color} ones: {count}!',
+            logical_challenge: 'Look for {size} + {color}: {count}!',
+            listen_and_tap: 'The {size} {color} {shape}!',
+            tap_shape: "That's the {shape}!",
+            tap_all_color: 'There are {count} {color} shapes!',
+            size_compare: {
+                bigger: 'Big → bigger → biggest!',
+                smaller: 'Small → smaller → smallest!'
+            },
+            size_superlative: {
+                biggest: 'The biggest {shape} is bigger than all the others!',
+                smallest: 'The smallest {shape} is smaller than all the others!'
+            },
+            size_order: {
+                ascending: 'Small, bigger, biggest!',
+                descending: 'Big, smaller, smallest!'
+            },
+            sort_into_bins: {
+                shape: 'Same shape, same box!',
+                color: 'Same color, same box!',
+                size: 'Same size, same box!'
+            },
+            pattern_completion: 'The pattern goes {unit}. Next comes {answer}!',
+            position_words: {
+                shape: '{Relation} the {color} {shape} is the {answer}!',
+                color: 'The shape {relation} the {shape} is {answer}!'
+            },
+            scene_shapes: {
+                count: 'The {scene} has {count} {shapes}!',
+                part: '{Part} = {shape}!'
+            },
+            shape_sides: {
+                sides: 'Count the straight lines around the edge: the {shape} has {count}!',
+                corners: 'A corner is where two sides meet: the {shape} has {count}!'
+            },
+            shape_property: {
+                noCorners: 'The {shape} is round all the way, so it has no corners!',
+                curved: 'The {shape} has a side that bends!',
+                straight: 'Every side of the {shape} is a straight line!',
+                sides: 'The {shape} has {count} sides!',
+                symmetry: 'Fold the {shape} along any of its {count} lines and both halves match!'
+            }
+        },
+        relations: {
+            above: 'above',
+            below: 'below',
+            left: 'to the left of',
+            right: 'to the right of',
+            next: 'next to'
+        },
+        hints: {
+            tapShape: '👉 Tap the right shape!',
+            tapAll: '👉 Tap every matching shape, then press Check.',
+            tapOrder: '👉 Tap the shapes in order, then press Check.',
+            sort: '👉 Drag each shape into its box, or tap a shape and then its box.',
+            check: 'Check ✓',
+            replay: 'Hear the question again'
+        },
+        feedback: {
+            correct: ['Great job! 🎉', 'Excellent! ⭐', 'Perfect! 🌟', 'Amazing! 🏆', 'Wonderful! 🎊'],
+            incorrect: 'Not quite! Try again next time! 💪',
+            timeout: "⏰ Time's up!"
+        },
+        motivation: [
+            { minAccuracy: 90, text: "🌟 Outstanding! You're a shapes master!" },
+            { minAccuracy: 75, text: '🎉 Excellent work! Keep learning!' },
+            { minAccuracy: 60, text: '👍 Good job! Practice makes perfect!' },
+            { minAccuracy: 40, text: "💪 Nice try! You're getting better!" },
+            { minAccuracy: 0, text: "🌈 Keep practicing! You'll improve!" }
+        ],
+        announcements: {
+            question: 'Question {number} of {total}.',
+            oneShape: 'One shape: {description}.',
+            shapes: '{count} shapes.',
+            answer: 'The answer is {answer}.',
+            placedRight: 'Right box!',
+            placedWrong: 'Not that box.',
+            scene: 'A picture made of shapes. {description}.'
+        },
+        speech: {
+            welcome: "Kinetic English Games by Camilo Marín. Let's learn shapes and sizes!",
+            results: 'Amazing job! You scored {score} points with {accuracy} percent accuracy!',
+            listen: 'Click the {size} {color} {shape}.'
+        },
+        describe: {
+            order: ['size', 'color', 'shape'],
+            size: '{size}',
+            color: '{color}',
+            shape: '{shape}',
+            hiddenShape: 'shape',
+            clue: '{description}: {clue}',
+            blank: 'missing shape',
+            gridCell: '{description}, row {row}, column {column}',
+            scene: '{scene}: {parts}',
+            scenePart: '{description} ({part})'
+        },
+        learners: {
+            guest: 'Guest (not saved)'
+        },
+        settings: {
+            minSelected: 'Please choose at least {count} {items}.',
+            lists: {
+                questionTypes: 'question type',
+                shapes: 'shapes',
+                colors: 'colors',
+                sizes: 'sizes'
+            }
+        },
+        results: {
+            saved: "Saved to {name}'s history",
+            mastery: {
+                shape: 'Shapes',
+                color: 'Colors',
+                size: 'Sizes',
+                type: 'Question types'
+            }
+        },
+        questionTypes: {
+            shape_identification: 'Name the shape',
+            size_recognition: 'Name the size',
+            color_shape: 'Color of a shape',
+            counting_color: 'Count by color',
+            logical_challenge: 'Count by size + color',
+            listen_and_tap: 'Listen and tap',
+            tap_shape: 'Tap the shape',
+            tap_all_color: 'Tap all of a color',
+            size_compare: 'Bigger or smaller',
+            size_superlative: 'Biggest or smallest',
+            size_order: 'Order by size',
+            sort_into_bins: 'Sort into boxes',
+            pattern_completion: 'What comes next?',
+            position_words: 'Position words',
+            scene_shapes: 'Shapes in a picture',
+            shape_sides: 'Count sides and corners',
+            shape_property: 'Which shape has...?'
+        },
+        vocabulary: {}
+    };
+
+    /** Packs loaded so far, by language code */
+    const packs = { en: ENGLISH };
+
+    /** @type {Object} */
+    let activePack = ENGLISH;
+
+    /**
+     * Load a pack and make it active. English needs no file; a pack
+     * that cannot be loaded leaves English active.
+     * @param {string} code - Language code, e.g. 'es'
+     * @returns {Promise<boolean>} Whether the requested pack is active
+     */
+    function load(code) {
+        if (packs[code]) {
+            activePack = packs[code];
+            return Promise.resolve(true);
+        }
+
+        return fetch(`${PACK_PATH}${code}.json`)
+            .then(response => {
+                if (!response.ok) throw new Error(`Locale pack ${code} not found`);
+                return response.json();
+            })
+            .then(pack => {
+                packs[code] = { ...pack, code };
+                activePack = packs[code];
+                return true;
+            })
+            .catch(() => {
+                activePack = ENGLISH;
+                return false;
+            });
+    }
+
+    /**
+     * Look up a dotted path in a pack
+     * @param {Object} pack
+     * @param {string} path - e.g. 'prompts.color_shape'
+     * @returns {*} Undefined when missing
+     */
+    function lookup(pack, path) {
+        return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), pack);
+    }
+
+    /**
+     * Fill {name} placeholders. A capitalized placeholder such as {Color}
+     * inserts the value with its first letter in upper case.
+     * @param {string} template
+     * @param {Object<string, string|number>} params
+     * @returns {string}
+     */
+    function format(template, params) {
+        return template.replace(/\{(\w+)\}/g, (match, name) => {
+            const key = name.charAt(0).toLowerCase() + name.slice(1);
+            if (params[key] === undefined) return match;
+
+            const value = String(params[key]);
+            return name === key ? value : value.charAt(0).toUpperCase() + value.slice(1);
+        });
+    }
+
+    /**
+     * Get a string from the active pack, falling back to English
+     * @param {string} path - e.g. 'feedback.incorrect'
+     * @param {Object<string, string|number>} [params={}] - Placeholder values
+     * @returns {string}
+     */
+    function text(path, params = {}) {
+        const value = lookup(activePack, path) ?? lookup(ENGLISH, path) ?? path;
+        return format(String(value), params);
+    }
+
+    /**
+     * Get a string from the English pack, whatever pack is active
+     * @param {string} path - e.g. 'speech.listen'
+     * @param {Object<string, string|number>} [params={}] - Placeholder values
+     * @returns {string}
+     */
+    function englishText(path, params = {}) {
+        return format(String(lookup(ENGLISH, path) ?? path), params);
+    }
+
+    /**
+     * Get a list from the active pack, falling back to English
+     * @param {string} path - e.g. 'feedback.correct'
+     * @returns {Array}
+     */
+    function list(path) {
+        const value = lookup(activePack, path);
+        return Array.isArray(value) && value.length > 0 ? value : lookup(ENGLISH, path) || [];
+    }
+
+    /**
+     * Translated vocabulary word from the active pack
+     * @param {string} category - 'shape', 'color' or 'size'
+     * @param {string} key - e.g. 'hexagon'
+     * @returns {string|null} Null when the pack has no translation
+     */
+    function word(category, key) {
+        return lookup(activePack, `vocabulary.${category}.${key}`) || null;
+    }
+
+    /**
+     * Motivation message for a round's accuracy
+     * @param {number} accuracy - 0 to 100
+     * @returns {string}
+     */
+    function motivation(accuracy) {
+        const entry = list('motivation').find(m => accuracy >= m.minAccuracy);
+        return entry ? entry.text : '';
+    }
+
+    /**
+     * BCP 47 language of the active pack for speech synthesis
+     * @returns {string}
+     */
+    function getSpeechLang() {
+        return activePack.speechLang || ENGLISH.speechLang;
+    }
+
+    // Public API
+    return {
+        load,
+        text,
+        englishText,
+        list,
+        word,
+        motivation,
+        getSpeechLang
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LocalePacks;
+}
@@ -0,0 +1,99 @@
+/**
+ * Kinetic English Games – Mastery Module
+ * Per-concept accuracy for shapes, colors, sizes and question types
+ *
+ * @module MasteryTracker
+ */
+
+const MasteryTracker = (function() {
+    'use strict';
+
+    /** Concept categories tracked, in display order */
+    const CATEGORIES = ['shape', 'color', 'size', 'type'];
+
+    /** Minimum accuracy for each mastery level */
+    const LEVELS = [
+        { name: 'mastered', minRatio: 0.8 },
+        { name: 'learning', minRatio: 0.5 },
+        { name: 'practice', minRatio: 0 }
+    ];
+
+    /**
+     * Create an empty mastery model
+     * @returns {Object<string, Object<string, {correct: number, attempts: number}>>}
+     */
+    function create() {
+        const model = {};
+        CATEGORIES.forEach(category => {
+            model[category] = {};
+        });
+        return model;
+    }
+
+    /**
+     * Count one attempt at a concept
+     * @param {Object} model
+     * @param {string} category - 'shape', 'color', 'size' or 'type'
+     * @param {string} key - Concept name, e.g. 'hexagon'
+     * @param {boolean} correct
+     */
+    function addAttempt(model, category, key, correct) {
+        const entry = model[category][key] || (model[category][key] = { correct: 0, attempts: 0 });
+        entry.attempts++;
+        if (correct) entry.correct++;
+    }
+
+    /**
+     * Record a question outcome against its type and every target attribute
+     * @param {Object} model
+     * @param {string} type - Question type
+     * @param {Object} target - Target attributes, e.g. { shape: 'oval', color: 'red' }
+     * @param {boolean} correct
+     */
+    function record(model, type, target, correct) {
+        addAttempt(model, 'type', type, correct);
+        Object.entries(target || {}).forEach(([category, key]) => {
+            if (model[category]) {
+                addAttempt(model, category, key, correct);
+            }
+        });
+    }
+
+    /**
+     * Mastery level name for an accuracy ratio
+     * @param {number} ratio - 0 to 1
+     * @returns {string} 'mastered', 'learning' or 'practice'
+     */
+    function getLevel(ratio) {
+        return LEVELS.find(level => ratio >= level.minRatio).name;
+    }
+
+    /**
+     * Entries of one category, weakest first
+     * @param {Object} model
+     * @param {string} category
+     * @returns {{key: string, correct: number, attempts: number, ratio: number, level: string}[]}
+     */
+    function getEntries(model, category) {
+        return Object.entries(model[category] || {})
+            .map(([key, { correct, attempts }]) => {
+                const ratio = correct / attempts;
+                return { key, correct, attempts, ratio, level: getLevel(ratio) };
+            })
+            .sort((a, b) => a.ratio - b.ratio || b.attempts - a.attempts);
+    }
+
+    // Public API
+    return {
+        CATEGORIES,
+        create,
+        record,
+        getLevel,
+        getEntries
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MasteryTracker;
+}
@@ -0,0 +1,158 @@
+/**
+ * Kinetic English Games – Profiles Module
+ * Local learner profiles and completed round history
+ *
+ * @module LearnerProfiles
+ */
+
+const LearnerProfiles = (function() {
+    'use strict';
+
+    /** localStorage keys */
+    const STORAGE_KEYS = {
+        learners: 'kineticShapes.learners',
+        activeLearner: 'kineticShapes.activeLearner',
+        rounds: 'kineticShapes.rounds'
+    };
+
+    /** Longest learner name accepted */
+    const MAX_NAME_LENGTH = 30;
+
+    /**
+     * Read a JSON value from localStorage
+     * @param {string} key
+     * @param {*} fallback - Returned when missing, unreadable or storage is blocked
+     * @returns {*}
+     */
+    function read(key, fallback) {
+        try {
+            const value = JSON.parse(window.localStorage.getItem(key));
+            return value === null ? fallback : value;
+        } catch (error) {
+            return fallback;
+        }
+    }
+
+    /**
+     * Write a JSON value to localStorage
+     * @param {string} key
+     * @param {*} value
+     * @returns {boolean} Whether the value was stored
+     */
+    function write(key, value) {
+        try {
+            window.localStorage.setItem(key, JSON.stringify(value));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Create a reasonably unique id
+     * @param {string} prefix
+     * @returns {string}
+     */
+    function createId(prefix) {
+        return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * Get all learners, sorted by name
+     * @returns {{id: string, name: string, createdAt: string}[]}
+     */
+    function getLearners() {
+        return read(STORAGE_KEYS.learners, [])
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get a learner by id
+     * @param {string} id
+     * @returns {Object|null}
+     */
+    function getLearner(id) {
+        return getLearners().find(learner => learner.id === id) || null;
+    }
+
+    /**
+     * Create a learner, or return the existing one with the same name
+     * @param {string} name
+     * @returns {Object|null} Null when the name is empty
+     */
+    function createLearner(name) {
+        const cleanName = String(name || '').trim().replace(/\s+/g, ' ').slice(0, MAX_NAME_LENGTH);
+        if (!cleanName) return null;
+
+        const learners = getLearners();
+        const existing = learners.find(l => l.name.toLowerCase() === cleanName.toLowerCase());
+        if (existing) return existing;
+
+        const learner = {
+            id: createId('learner'),
+            name: cleanName,
+            createdAt: new Date().toISOString()
+        };
+        write(STORAGE_KEYS.learners, [...learners, learner]);
+        return learner;
+    }
+
+    /**
+     * Get the learner currently playing
+     * @returns {Object|null} Null for guests
+     */
+    function getActiveLearner() {
+        return getLearner(read(STORAGE_KEYS.activeLearner, null));
+    }
+
+    /**
+     * Set the learner currently playing
+     * @param {string|null} id - Learner id, or null for a guest
+     */
+    function setActiveLearner(id) {
+        write(STORAGE_KEYS.activeLearner, id);
+    }
+
+    /**
+     * Store a completed round for a learner
+     * @param {string} learnerId
+     * @param {Object} round - Round summary with per-question records
+     * @returns {Object|null} The stored round, or null if it could not be saved
+     */
+    function saveRound(learnerId, round) {
+        const stored = {
+            id: createId('round'),
+            learnerId,
+            completedAt: new Date().toISOString(),
+            ...round
+        };
+        const rounds = read(STORAGE_KEYS.rounds, []);
+        return write(STORAGE_KEYS.rounds, [...rounds, stored]) ? stored : null;
+    }
+
+    /**
+     * Get completed rounds, oldest first
+     * @param {string} [learnerId] - Only this learner's rounds (all when omitted)
+     * @returns {Object[]}
+     */
+    function getRounds(learnerId) {
+        const rounds = read(STORAGE_KEYS.rounds, []);
+        return learnerId ? rounds.filter(round => round.learnerId === learnerId) : rounds;
+    }
+
+    // Public API
+    return {
+        getLearners,
+        getLearner,
+        createLearner,
+        getActiveLearner,
+        setActiveLearner,
+        saveRound,
+        getRounds
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LearnerProfiles;
+}
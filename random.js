@@ -0,0 +1,131 @@
+/**
+ * Kinetic English Games – Random Module
+ * Seeded pseudo-random number generation for reproducible rounds
+ *
+ * @module SeededRandom
+ */
+
+const SeededRandom = (function() {
+    'use strict';
+
+    /** Characters used in round codes (no 0/O or 1/I to avoid confusion) */
+    const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+    /** Length of generated round codes */
+    const CODE_LENGTH = 6;
+
+    /**
+     * Hash a string into a 32-bit unsigned integer (FNV-1a)
+     * @param {string} str
+     * @returns {number}
+     */
+    function hashString(str) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Create a random source from a seed (mulberry32)
+     * @param {number|string} seed - Numeric seed or any string, e.g. a round code
+     * @returns {function(): number} Function returning floats in [0, 1)
+     */
+    function create(seed) {
+        let state = typeof seed === 'number' ? seed >>> 0 : hashString(String(seed));
+
+        return function random() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Create an independent random source for one part of a round.
+     * The same seed and keys always give the same sequence.
+     * @param {number|string} seed - Round seed or code
+     * @param {...(number|string)} keys - Sub-stream identifiers, e.g. question number
+     * @returns {function(): number}
+     */
+    function derive(seed, ...keys) {
+        return create([seed, ...keys].join(':'));
+    }
+
+    /**
+     * Normalize user-entered round code (uppercase, alphanumerics only)
+     * @param {string} code
+     * @returns {string}
+     */
+    function normalizeCode(code) {
+        return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    }
+
+    /**
+     * Generate a fresh round code
+     * @returns {string}
+     */
+    function generateCode() {
+        let code = '';
+        for (let i = 0; i < CODE_LENGTH; i++) {
+            code += CODE_ALPHABET[Math.floor(Math.random() * CODE_ALPHABET.length)];
+        }
+        return code;
+    }
+
+    /**
+     * Get a random integer in [min, max]
+     * @param {function(): number} random
+     * @param {number} min
+     * @param {number} max
+     * @returns {number}
+     */
+    function int(random, min, max) {
+        return min + Math.floor(random() * (max - min + 1));
+    }
+
+    /**
+     * Pick a random item from an array
+     * @param {function(): number} random
+     * @param {Array} array
+     * @returns {*}
+     */
+    function pick(random, array) {
+        return array[Math.floor(random() * array.length)];
+    }
+
+    /**
+     * Fisher-Yates shuffle (returns a new array)
+     * @param {function(): number} random
+     * @param {Array} array
+     * @returns {Array}
+     */
+    function shuffle(random, array) {
+        const shuffled = [...array];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
+    // Public API
+    return {
+        create,
+        derive,
+        normalizeCode,
+        generateCode,
+        int,
+        pick,
+        shuffle
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+}
@@ -0,0 +1,118 @@
+/**
+ * Kinetic English Games – Review Module
+ * Spaced-repetition queue of missed shape, color and size vocabulary
+ *
+ * @module ReviewQueue
+ */
+
+const ReviewQueue = (function() {
+    'use strict';
+
+    /** localStorage key for all learners' queues */
+    const STORAGE_KEY = 'kineticShapes.review';
+
+    /** Categories that can be reviewed */
+    const CATEGORIES = ['shape', 'color', 'size'];
+
+    /** Wait before an item is due again, per box (Leitner system) */
+    const DAY = 24 * 60 * 60 * 1000;
+    const BOX_INTERVALS = [0, 1 * DAY, 3 * DAY, 7 * DAY];
+
+    /**
+     * Read every learner's queue
+     * @returns {Object<string, Object[]>}
+     */
+    function readAll() {
+        try {
+            return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Write every learner's queue
+     * @param {Object<string, Object[]>} queues
+     */
+    function writeAll(queues) {
+        try {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify(queues));
+        } catch (error) {
+            // Storage full or blocked: review simply stays as it was
+        }
+    }
+
+    /**
+     * Get a learner's queue
+     * @param {string} learnerId
+     * @returns {{category: string, key: string, box: number, due: number}[]}
+     */
+    function getQueue(learnerId) {
+        return readAll()[learnerId] || [];
+    }
+
+    /**
+     * Update the queue after a question about some vocabulary.
+     * A miss puts the item in the first box (due now); a correct answer
+     * moves a due item to the next box, and past the last box it leaves the queue.
+     * Correct answers before an item is due again do not move it.
+     * @param {string} learnerId
+     * @param {Object} target - Target attributes, e.g. { shape: 'hexagon', size: 'little' }
+     * @param {boolean} correct
+     * @param {number} [now=Date.now()]
+     */
+    function record(learnerId, target, correct, now = Date.now()) {
+        const queues = readAll();
+        let queue = queues[learnerId] || [];
+
+        Object.entries(target || {}).forEach(([category, key]) => {
+            if (!CATEGORIES.includes(category)) return;
+
+            const item = queue.find(i => i.category === category && i.key === key);
+
+            if (!correct) {
+                if (item) {
+                    item.box = 0;
+                    item.due = now;
+                } else {
+                    queue.push({ category, key, box: 0, due: now });
+                }
+            } else if (item && item.due <= now) {
+                item.box++;
+                if (item.box >= BOX_INTERVALS.length) {
+                    queue = queue.filter(i => i !== item);
+                } else {
+                    item.due = now + BOX_INTERVALS[item.box];
+                }
+            }
+        });
+
+        queues[learnerId] = queue;
+        writeAll(queues);
+    }
+
+    /**
+     * Items due for review, lowest box (least known) first
+     * @param {string} learnerId
+     * @param {number} [now=Date.now()]
+     * @returns {{category: string, key: string, box: number, due: number}[]}
+     */
+    function getDueItems(learnerId, now = Date.now()) {
+        return getQueue(learnerId)
+            .filter(item => item.due <= now)
+            .sort((a, b) => a.box - b.box || a.due - b.due);
+    }
+
+    // Public API
+    return {
+        CATEGORIES,
+        getQueue,
+        record,
+        getDueItems
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReviewQueue;
+}
@@ -0,0 +1,95 @@
+/**
+ * Kinetic English Games – Switch Scanning Module
+ * Single-switch access: highlights controls in turn, one press selects
+ *
+ * @module SwitchScanner
+ */
+
+const SwitchScanner = (function() {
+    'use strict';
+
+    /** @type {function(): HTMLElement[]} */
+    let getItems = () => [];
+
+    /** @type {number|null} */
+    let scanInterval = null;
+
+    let currentIndex = -1;
+
+    /**
+     * Remove the highlight from every item
+     */
+    function clearHighlight() {
+        document.querySelectorAll('.scan-focus').forEach(el => el.classList.remove('scan-focus'));
+    }
+
+    /**
+     * Move the highlight to the next available item
+     */
+    function advance() {
+        const items = getItems();
+        clearHighlight();
+        if (items.length === 0) return;
+
+        currentIndex = (currentIndex + 1) % items.length;
+        const item = items[currentIndex];
+        item.classList.add('scan-focus');
+        item.focus();
+    }
+
+    /**
+     * Start scanning a set of items
+     * @param {function(): HTMLElement[]} itemsGetter - Returns the items currently selectable
+     * @param {number} intervalMs - Time each item stays highlighted
+     */
+    function start(itemsGetter, intervalMs) {
+        stop();
+        getItems = itemsGetter;
+        currentIndex = -1;
+        advance();
+        scanInterval = setInterval(advance, intervalMs);
+    }
+
+    /**
+     * Stop scanning and remove the highlight
+     */
+    function stop() {
+        clearInterval(scanInterval);
+        scanInterval = null;
+        currentIndex = -1;
+        clearHighlight();
+    }
+
+    /**
+     * Activate the highlighted item (the switch press)
+     * @returns {boolean} Whether an item was activated
+     */
+    function select() {
+        const item = getItems()[currentIndex];
+        if (!isActive() || !item) return false;
+
+        item.click();
+        return true;
+    }
+
+    /**
+     * Whether scanning is running
+     * @returns {boolean}
+     */
+    function isActive() {
+        return scanInterval !== null;
+    }
+
+    // Public API
+    return {
+        start,
+        stop,
+        select,
+        isActive
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SwitchScanner;
+}
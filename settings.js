@@ -0,0 +1,247 @@
+/**
+ * Kinetic English Games – Settings Module
+ * Teacher-configurable game settings persisted in localStorage
+ *
+ * @module GameSettings
+ */
+
+const GameSettings = (function() {
+    'use strict';
+
+    /** localStorage key for saved settings */
+    const STORAGE_KEY = 'kineticShapes.settings';
+
+    /** Allowed ranges for numeric settings */
+    const NUMBER_LIMITS = {
+        totalQuestions: { min: 5, max: 50 },
+        timerDuration: { min: 5, max: 60 },
+        scanInterval: { min: 1, max: 5 }
+    };
+
+    /** On/off settings, shown as single checkboxes */
+    const BOOLEAN_SETTINGS = ['timerEnabled', 'speakQuestions', 'switchScanning', 'colorblindPalette', 'patternFills'];
+
+    /** Allowed values for each entry of per-level choice settings */
+    const LEVEL_CHOICES = {
+        answerOptions: [2, 3, 4, 6]
+    };
+
+    /** Allowed values for single-choice settings, shown as selects */
+    const CHOICE_SETTINGS = {
+        language: ['en', 'es'],
+        languageMode: ['bilingual', 'full']
+    };
+
+    /** Minimum number of checked items for each list setting */
+    const MIN_SELECTED = {
+        questionTypes: 1,
+        shapes: 2,
+        colors: 2,
+        sizes: 2
+    };
+
+    /**
+     * Clamp a value to a numeric range, falling back when not a number
+     * @param {*} value
+     * @param {{min: number, max: number}} limits
+     * @param {number} fallback
+     * @returns {number}
+     */
+    function clampNumber(value, limits, fallback) {
+        const number = parseInt(value, 10);
+        if (Number.isNaN(number)) return fallback;
+        return Math.min(limits.max, Math.max(limits.min, number));
+    }
+
+    /**
+     * Merge settings over defaults, dropping anything invalid.
+     * List settings may only contain values found in the matching default list.
+     * @param {Object} settings - Possibly partial or stale settings
+     * @param {Object} defaults - Default settings (also the allowed values)
+     * @returns {Object}
+     */
+    function sanitize(settings, defaults) {
+        const result = { ...defaults };
+
+        Object.keys(defaults).forEach(key => {
+            const value = settings[key];
+            if (value === undefined) return;
+
+            if (NUMBER_LIMITS[key]) {
+                result[key] = clampNumber(value, NUMBER_LIMITS[key], defaults[key]);
+            } else if (LEVEL_CHOICES[key]) {
+                result[key] = {};
+                Object.keys(defaults[key]).forEach(level => {
+                    const choice = parseInt((value || {})[level], 10);
+                    result[key][level] = LEVEL_CHOICES[key].includes(choice) ? choice : defaults[key][level];
+                });
+            } else if (CHOICE_SETTINGS[key]) {
+                result[key] = CHOICE_SETTINGS[key].includes(value) ? value : defaults[key];
+            } else if (Array.isArray(defaults[key])) {
+                const allowed = Array.isArray(value) ? defaults[key].filter(v => value.includes(v)) : [];
+                result[key] = allowed.length >= (MIN_SELECTED[key] || 0) ? allowed : [...defaults[key]];
+            } else if (typeof defaults[key] === 'boolean') {
+                result[key] = Boolean(value);
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Load saved settings
+     * @param {Object} defaults - Default settings
+     * @returns {Object}
+     */
+    function load(defaults) {
+        try {
+            const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+            return sanitize(saved || {}, defaults);
+        } catch (error) {
+            return sanitize({}, defaults);
+        }
+    }
+
+    /**
+     * Save settings
+     * @param {Object} settings
+     * @returns {boolean} Whether the settings were stored
+     */
+    function save(settings) {
+        try {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Validate settings entered in the form
+     * @param {Object} settings
+     * @returns {string} Error message, or an empty string when valid
+     */
+    function validate(settings) {
+        for (const [key, min] of Object.entries(MIN_SELECTED)) {
+            if ((settings[key] || []).length < min) {
+                return LocalePacks.text('settings.minSelected', {
+                    count: min,
+                    items: LocalePacks.text(`settings.lists.${key}`)
+                });
+            }
+        }
+        return '';
+    }
+
+    /**
+     * Render checkbox choices into every [data-setting] container of the form
+     * and set the form to the given settings
+     * @param {HTMLFormElement} form
+     * @param {Object} settings
+     * @param {Object<string, {value: string, label: string, swatch?: string}[]>} choices
+     */
+    function fillForm(form, settings, choices) {
+        form.querySelectorAll('[data-setting]').forEach(container => {
+            const key = container.dataset.setting;
+            container.innerHTML = '';
+
+            (choices[key] || []).forEach(choice => {
+                const label = document.createElement('label');
+                label.className = 'settings-choice';
+
+                const input = document.createElement('input');
+                input.type = 'checkbox';
+                input.name = key;
+                input.value = choice.value;
+                input.checked = (settings[key] || []).includes(choice.value);
+                label.appendChild(input);
+
+                if (choice.swatch) {
+                    const swatch = document.createElement('span');
+                    swatch.className = 'settings-swatch';
+                    swatch.style.background = choice.swatch;
+                    label.appendChild(swatch);
+                }
+
+                label.appendChild(document.createTextNode(choice.label));
+                container.appendChild(label);
+            });
+        });
+
+        Object.keys(NUMBER_LIMITS).forEach(key => {
+            const input = form.elements[key];
+            if (!input) return;
+            input.min = NUMBER_LIMITS[key].min;
+            input.max = NUMBER_LIMITS[key].max;
+            input.value = settings[key];
+        });
+
+        Object.keys(LEVEL_CHOICES).forEach(key => {
+            form.querySelectorAll(`select[name^="${key}."]`).forEach(select => {
+                const level = select.name.split('.')[1];
+                select.innerHTML = LEVEL_CHOICES[key]
+                    .map(choice => `<option value="${choice}">${choice}</option>`)
+                    .join('');
+                select.value = settings[key][level];
+            });
+        });
+
+        BOOLEAN_SETTINGS.forEach(key => {
+            if (form.elements[key]) form.elements[key].checked = settings[key];
+        });
+
+        Object.keys(CHOICE_SETTINGS).forEach(key => {
+            if (form.elements[key]) form.elements[key].value = settings[key];
+        });
+    }
+
+    /**
+     * Read settings from the form
+     * @param {HTMLFormElement} form
+     * @returns {Object}
+     */
+    function readForm(form) {
+        const settings = {};
+
+        BOOLEAN_SETTINGS.forEach(key => {
+            if (form.elements[key]) settings[key] = form.elements[key].checked;
+        });
+
+        Object.keys(CHOICE_SETTINGS).forEach(key => {
+            if (form.elements[key]) settings[key] = form.elements[key].value;
+        });
+
+        Object.keys(NUMBER_LIMITS).forEach(key => {
+            settings[key] = clampNumber(form.elements[key].value, NUMBER_LIMITS[key], NUMBER_LIMITS[key].min);
+        });
+
+        Object.keys(LEVEL_CHOICES).forEach(key => {
+            settings[key] = {};
+            form.querySelectorAll(`select[name^="${key}."]`).forEach(select => {
+                settings[key][select.name.split('.')[1]] = parseInt(select.value, 10);
+            });
+        });
+
+        form.querySelectorAll('[data-setting]').forEach(container => {
+            const key = container.dataset.setting;
+            settings[key] = [...container.querySelectorAll('input:checked')].map(input => input.value);
+        });
+
+        return settings;
+    }
+
+    // Public API
+    return {
+        load,
+        save,
+        sanitize,
+        validate,
+        fillForm,
+        readForm
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameSettings;
+}
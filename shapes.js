@@ -9,36 +9,235 @@ const ShapeRenderer = (function() {
     'use strict';
 
     /**
-     * Shape definitions with their properties
+     * Shape definitions as data. The clue describes a shape without naming it,
+     * for screen readers; level is the difficulty level the shape is introduced at.
+     * Properties count straight sides, curved sides, corners and lines of
+     * symmetry (Infinity for a circle); regular polygons work them out themselves.
+     * Variations list how a shape may be drawn and still clearly be that shape:
+     * rotations in degrees (defaults to DEFAULT_ROTATIONS), stretches of its width
+     * and skews in degrees that slide its top sideways (both default to none).
+     * Geometry is drawn in a viewBox 100 units high and 100 × aspect wide, as one of:
+     *   { type: 'regularPolygon', sides, rotation } - a corner at the top, turned by rotation degrees
+     *   { type: 'polygon', points: [[x, y], ...] }
+     *   { type: 'ellipse', cx, cy, rx, ry }
+     *   { type: 'rect', x, y, width, height }
+     *   { type: 'path', d, bounds: [x, y, width, height] }
+     * More shapes can be added at runtime with registerShape.
      */
-    const SHAPES = {
-        circle: {
+    const SHAPE_DEFINITIONS = [
+        {
             name: 'circle',
-            displayName: 'Circle'
+            displayName: 'Circle',
+            clue: 'round, with no corners',
+            level: 1,
+            properties: { sides: 0, curvedSides: 1, corners: 0, symmetryLines: Infinity },
+            variations: { rotations: [] },
+            geometry: { type: 'ellipse', cx: 50, cy: 50, rx: 45, ry: 45 }
         },
-        square: {
+        {
             name: 'square',
-            displayName: 'Square'
+            displayName: 'Square',
+            clue: 'four equal sides and four corners',
+            level: 1,
+            properties: { sides: 4, curvedSides: 0, corners: 4, symmetryLines: 4 },
+            // Turned 45 degrees a square looks like the diamond
+            variations: { rotations: [15, 30, 60, 75] },
+            geometry: { type: 'rect', x: 10, y: 10, width: 80, height: 80 }
         },
-        triangle: {
+        {
             name: 'triangle',
-            displayName: 'Triangle'
+            displayName: 'Triangle',
+            clue: 'three sides and three corners',
+            level: 1,
+            properties: { sides: 3, curvedSides: 0, corners: 3, symmetryLines: 1 },
+            variations: { stretches: [0.7, 1.4], skews: [-20, 20] },
+            geometry: { type: 'polygon', points: [[50, 10], [90, 90], [10, 90]] }
         },
-        rectangle: {
+        {
             name: 'rectangle',
-            displayName: 'Rectangle'
+            displayName: 'Rectangle',
+            clue: 'four sides, two long and two short',
+            level: 1,
+            aspect: 1.4,
+            properties: { sides: 4, curvedSides: 0, corners: 4, symmetryLines: 2 },
+            // Tall or extra wide, never close to square
+            variations: { stretches: [0.35, 1.3] },
+            geometry: { type: 'rect', x: 10, y: 15, width: 120, height: 70 }
         },
-        oval: {
+        {
+            name: 'star',
+            displayName: 'Star',
+            clue: 'five points',
+            level: 1,
+            properties: { sides: 10, curvedSides: 0, corners: 10, symmetryLines: 5 },
+            geometry: {
+                type: 'polygon',
+                points: [[50, 5], [61, 40], [98, 40], [68, 60], [79, 95], [50, 75], [21, 95], [32, 60], [2, 40], [39, 40]]
+            }
+        },
+        {
+            name: 'heart',
+            displayName: 'Heart',
+            clue: 'two round bumps on top and a point at the bottom',
+            level: 1,
+            properties: { sides: 0, curvedSides: 2, corners: 2, symmetryLines: 1 },
+            geometry: {
+                type: 'path',
+                d: 'M 50 92 C 22 72 5 55 5 33 C 5 16 17 6 31 6 C 40 6 47 12 50 20 C 53 12 60 6 69 6 C 83 6 95 16 95 33 C 95 55 78 72 50 92 Z',
+                bounds: [5, 6, 90, 86]
+            }
+        },
+        {
             name: 'oval',
-            displayName: 'Oval'
+            displayName: 'Oval',
+            clue: 'round and stretched, like an egg',
+            level: 2,
+            aspect: 1.3,
+            properties: { sides: 0, curvedSides: 1, corners: 0, symmetryLines: 2 },
+            variations: { stretches: [0.55, 1.3] },
+            geometry: { type: 'ellipse', cx: 65, cy: 50, rx: 55, ry: 40 }
         },
-        star: {
-            name: 'star',
-            displayName: 'Star'
+        {
+            name: 'diamond',
+            displayName: 'Diamond',
+            clue: 'four equal sides, standing on one corner',
+            level: 2,
+            properties: { sides: 4, curvedSides: 0, corners: 4, symmetryLines: 2 },
+            variations: { rotations: [15, 30, 60, 75], stretches: [0.7, 1.6] },
+            geometry: { type: 'polygon', points: [[50, 5], [85, 50], [50, 95], [15, 50]] }
+        },
+        {
+            name: 'semicircle',
+            displayName: 'Semicircle',
+            clue: 'half of a circle: one curved side and one straight side',
+            level: 2,
+            properties: { sides: 1, curvedSides: 1, corners: 2, symmetryLines: 1 },
+            geometry: { type: 'path', d: 'M 5 72 A 45 45 0 0 1 95 72 Z', bounds: [5, 27, 90, 45] }
         },
-        hexagon: {
+        {
+            name: 'crescent',
+            displayName: 'Crescent',
+            clue: 'a curved shape like a thin moon',
+            level: 2,
+            properties: { sides: 0, curvedSides: 2, corners: 2, symmetryLines: 1 },
+            geometry: { type: 'path', d: 'M 75 5 A 45 45 0 0 0 75 95 A 60 60 0 0 1 75 5 Z', bounds: [30, 5, 45, 90] }
+        },
+        {
+            name: 'pentagon',
+            displayName: 'Pentagon',
+            clue: 'five sides and five corners',
+            level: 3,
+            geometry: { type: 'regularPolygon', sides: 5 }
+        },
+        {
             name: 'hexagon',
-            displayName: 'Hexagon'
+            displayName: 'Hexagon',
+            clue: 'six sides and six corners',
+            level: 2,
+            geometry: { type: 'regularPolygon', sides: 6 }
+        },
+        {
+            name: 'octagon',
+            displayName: 'Octagon',
+            clue: 'eight sides and eight corners',
+            level: 3,
+            geometry: { type: 'regularPolygon', sides: 8, rotation: 22.5 }
+        }
+    ];
+
+    /**
+     * Drawing for each geometry type: its tight bounds [x, y, width, height]
+     * and SVG markup with the given fill and stroke attributes
+     */
+    const GEOMETRY_TYPES = {
+        regularPolygon: {
+            points: (g, aspect) => {
+                const points = [];
+                for (let i = 0; i < g.sides; i++) {
+                    const angle = ((g.rotation || 0) - 90 + i * 360 / g.sides) * Math.PI / 180;
+                    points.push([
+                        Math.round((50 * aspect + 45 * Math.cos(angle)) * 10) / 10,
+                        Math.round((50 + 45 * Math.sin(angle)) * 10) / 10
+                    ]);
+                }
+                return points;
+            },
+            isValid: g => Number.isInteger(g.sides) && g.sides >= 3
+        },
+        polygon: {
+            points: g => g.points,
+            isValid: g => Array.isArray(g.points) && g.points.length >= 3
+        },
+        ellipse: {
+            bounds: g => [g.cx - g.rx, g.cy - g.ry, g.rx * 2, g.ry * 2],
+            draw: (g, attrs) => `<ellipse cx="${g.cx}" cy="${g.cy}" rx="${g.rx}" ry="${g.ry}" ${attrs}/>`,
+            isValid: g => [g.cx, g.cy, g.rx, g.ry].every(Number.isFinite)
+        },
+        rect: {
+            bounds: g => [g.x, g.y, g.width, g.height],
+            draw: (g, attrs) => `<rect x="${g.x}" y="${g.y}" width="${g.width}" height="${g.height}" ${attrs}/>`,
+            isValid: g => [g.x, g.y, g.width, g.height].every(Number.isFinite)
+        },
+        path: {
+            bounds: g => g.bounds,
+            draw: (g, attrs) => `<path d="${g.d}" ${attrs}/>`,
+            isValid: g => typeof g.d === 'string' && Array.isArray(g.bounds) && g.bounds.length === 4
+        }
+    };
+
+    /**
+     * Registered shapes by name, each with its drawing: width of the viewBox
+     * (height is always 100), tight bounds and a draw(attrs) function
+     * @type {Object<string, Object>}
+     */
+    const SHAPES = {};
+
+    /**
+     * Pictures built from shapes. Each part is drawn stretched to its box
+     * (x, y, width, height) in the scene's coordinates, in list order, so
+     * later parts sit on top. Parts that share a name must share a shape.
+     */
+    const SCENES = {
+        house: {
+            name: 'house',
+            displayName: 'House',
+            width: 200,
+            height: 200,
+            parts: [
+                { name: 'roof', shape: 'triangle', color: 'red', x: 25, y: 10, width: 150, height: 75 },
+                { name: 'wall', shape: 'square', color: 'yellow', x: 45, y: 85, width: 110, height: 110 },
+                { name: 'window', shape: 'square', color: 'blue', x: 60, y: 100, width: 25, height: 25 },
+                { name: 'window', shape: 'square', color: 'blue', x: 115, y: 100, width: 25, height: 25 },
+                { name: 'door', shape: 'rectangle', color: 'orange', x: 87, y: 140, width: 26, height: 55 }
+            ]
+        },
+        rocket: {
+            name: 'rocket',
+            displayName: 'Rocket',
+            width: 200,
+            height: 200,
+            parts: [
+                { name: 'fin', shape: 'triangle', color: 'green', x: 45, y: 125, width: 35, height: 50 },
+                { name: 'fin', shape: 'triangle', color: 'green', x: 120, y: 125, width: 35, height: 50 },
+                { name: 'body', shape: 'rectangle', color: 'purple', x: 75, y: 55, width: 50, height: 120 },
+                { name: 'nose', shape: 'triangle', color: 'red', x: 75, y: 10, width: 50, height: 45 },
+                { name: 'window', shape: 'circle', color: 'yellow', x: 86, y: 75, width: 28, height: 28 }
+            ]
+        },
+        snowman: {
+            name: 'snowman',
+            displayName: 'Snowman',
+            width: 200,
+            height: 200,
+            parts: [
+                { name: 'body', shape: 'circle', color: 'white', x: 55, y: 100, width: 90, height: 90 },
+                { name: 'head', shape: 'circle', color: 'white', x: 70, y: 40, width: 60, height: 60 },
+                { name: 'eye', shape: 'circle', color: 'black', x: 86, y: 58, width: 9, height: 9 },
+                { name: 'eye', shape: 'circle', color: 'black', x: 105, y: 58, width: 9, height: 9 },
+                { name: 'button', shape: 'star', color: 'red', x: 90, y: 120, width: 20, height: 20 },
+                { name: 'hat', shape: 'rectangle', color: 'black', x: 75, y: 5, width: 50, height: 32 },
+                { name: 'brim', shape: 'rectangle', color: 'black', x: 62, y: 35, width: 76, height: 8 }
+            ]
         }
     };
 
@@ -57,6 +256,73 @@ const ShapeRenderer = (function() {
         black: '#2C3E50'
     };
 
+    /**
+     * Colorblind-safe alternative for each color (based on the Okabe-Ito
+     * palette), used instead of COLORS when switched on in settings
+     */
+    const SAFE_COLORS = {
+        red: '#D55E00',
+        blue: '#0072B2',
+        yellow: '#F0E442',
+        green: '#009E73',
+        pink: '#CC79A7',
+        orange: '#E69F00',
+        purple: '#332288',
+        white: '#FFFFFF',
+        black: '#000000'
+    };
+
+    /**
+     * Pattern drawn over each color when pattern fills are on,
+     * so colors that look alike still look different
+     */
+    const COLOR_PATTERNS = {
+        red: 'stripes',
+        green: 'dots',
+        orange: 'grid',
+        purple: 'checks'
+    };
+
+    /**
+     * Pattern tiles in viewBox units, built from an id, base color and mark color
+     */
+    const PATTERNS = {
+        stripes: (id, base, mark) => `
+            <pattern id="${id}" width="12" height="12" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">
+                <rect width="12" height="12" fill="${base}"/>
+                <rect width="5" height="12" fill="${mark}"/>
+            </pattern>`,
+        dots: (id, base, mark) => `
+            <pattern id="${id}" width="12" height="12" patternUnits="userSpaceOnUse">
+                <rect width="12" height="12" fill="${base}"/>
+                <circle cx="6" cy="6" r="3" fill="${mark}"/>
+            </pattern>`,
+        grid: (id, base, mark) => `
+            <pattern id="${id}" width="12" height="12" patternUnits="userSpaceOnUse">
+                <rect width="12" height="12" fill="${base}"/>
+                <path d="M 0 0 H 12 M 0 0 V 12" stroke="${mark}" stroke-width="3"/>
+            </pattern>`,
+        checks: (id, base, mark) => `
+            <pattern id="${id}" width="16" height="16" patternUnits="userSpaceOnUse">
+                <rect width="16" height="16" fill="${base}"/>
+                <rect width="8" height="8" fill="${mark}"/>
+                <rect x="8" y="8" width="8" height="8" fill="${mark}"/>
+            </pattern>`
+    };
+
+    /** Color of pattern marks, dark enough to show on every base color */
+    const PATTERN_MARK = 'rgba(0, 0, 0, 0.4)';
+
+    /** Display options set from teacher settings */
+    const displayOptions = {
+        colorblindPalette: false,
+        patternFills: false,
+        translateWords: false
+    };
+
+    /** Counter for unique pattern and gradient ids within the page */
+    let patternCount = 0;
+
     /**
      * Size definitions with multipliers
      */
@@ -71,12 +337,119 @@ const ShapeRenderer = (function() {
     /** Base size for shapes in pixels */
     const BASE_SIZE = 70;
 
+    /** Rotations in degrees a shape may be drawn at unless its definition says otherwise */
+    const DEFAULT_ROTATIONS = [30, 45, 90, 135, 180, 225, 270, 315];
+
+    /** Fills other than a solid color that a variation can ask for */
+    const FILL_STYLES = ['gradient', 'texture'];
+
+    /** Color of texture specks, light enough to show on every base color */
+    const TEXTURE_MARK = 'rgba(255, 255, 255, 0.45)';
+
+    /** Outline width in pixels for outline-only shapes, whatever their size */
+    const OUTLINE_WIDTH = 4;
+
+    /** Padding plus border around a shape in a .shape-choice button (see styles.css), in pixels */
+    const CHOICE_CHROME = 2 * (8 + 4);
+
+    /** SVG namespace, for elements created one at a time */
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    /** Length of the fade-out in styles.css (.shape-exit), after which a shape is removed */
+    const EXIT_DURATION = 300;
+
+    /** Time between counting one shape and the next */
+    const COUNT_STEP = 600;
+
+    /** Timers of a count still running */
+    let countTimers = [];
+
+    /** Markup each slot on the stage was last drawn with */
+    const slotMarkup = new WeakMap();
+
+    /** Space in viewBox units kept around a rotated, stretched or skewed shape */
+    const VARIATION_PADDING = 5;
+
+    /**
+     * Add a shape to the library. It is then offered by getShapeNames and
+     * drawn by createShapeSVG like the built-in shapes.
+     * @param {Object} definition - See SHAPE_DEFINITIONS
+     * @param {string} definition.name - Key used in settings and questions, e.g. 'pentagon'
+     * @param {Object} definition.geometry - One of the GEOMETRY_TYPES
+     * @param {string} [definition.displayName] - Defaults to the capitalized name
+     * @param {string} [definition.pluralName] - Defaults to the display name + "s"
+     * @param {string} [definition.clue=''] - Screen reader description that does not name the shape
+     * @param {number} [definition.level=1] - Difficulty level the shape is introduced at
+     * @param {number} [definition.aspect=1] - Width of the drawing relative to its height
+     * @param {{sides: number, curvedSides: number, corners: number, symmetryLines: number}} [definition.properties] -
+     *   Needed for questions about sides and corners; derived for regular polygons
+     * @param {{rotations: number[], stretches: number[], skews: number[]}} [definition.variations] -
+     *   How the shape may be varied; see SHAPE_DEFINITIONS
+     * @throws {Error} When the name is taken or the geometry, properties or variations are not valid
+     */
+    function registerShape(definition) {
+        const { name, geometry, aspect = 1 } = definition || {};
+        if (typeof name !== 'string' || !/^[a-z][a-z0-9-]*$/.test(name)) {
+            throw new Error(`Invalid shape name: ${name}`);
+        }
+        if (SHAPES[name]) {
+            throw new Error(`Shape already registered: ${name}`);
+        }
+        const type = geometry && GEOMETRY_TYPES[geometry.type];
+        if (!type || !type.isValid(geometry) || !(aspect > 0)) {
+            throw new Error(`Invalid geometry for shape: ${name}`);
+        }
+        const given = definition.properties;
+        if (given && !['sides', 'curvedSides', 'corners', 'symmetryLines'].every(key => given[key] >= 0)) {
+            throw new Error(`Invalid properties for shape: ${name}`);
+        }
+        const { rotations = DEFAULT_ROTATIONS, stretches = [], skews = [] } = definition.variations || {};
+        const isNumberList = (list, isValid) => Array.isArray(list) && list.every(value => Number.isFinite(value) && isValid(value));
+        if (!isNumberList(rotations, () => true) || !isNumberList(stretches, value => value > 0) ||
+            !isNumberList(skews, value => Math.abs(value) < 60)) {
+            throw new Error(`Invalid variations for shape: ${name}`);
+        }
+
+        const displayName = definition.displayName || name.charAt(0).toUpperCase() + name.slice(1);
+        const properties = definition.properties || (geometry.type === 'regularPolygon'
+            ? { sides: geometry.sides, curvedSides: 0, corners: geometry.sides, symmetryLines: geometry.sides }
+            : null);
+        const points = type.points && type.points(geometry, aspect);
+        const xs = points && points.map(([x]) => x);
+        const ys = points && points.map(([, y]) => y);
+
+        SHAPES[name] = {
+            name,
+            displayName,
+            pluralName: definition.pluralName || `${displayName}s`,
+            clue: definition.clue || '',
+            level: definition.level || 1,
+            properties,
+            variations: { rotations, stretches, skews },
+            aspect,
+            geometry,
+            points,
+            width: Math.round(100 * aspect),
+            bounds: points
+                ? [Math.min(...xs), Math.min(...ys), Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys)]
+                    .map(value => Math.round(value * 10) / 10)
+                : type.bounds(geometry),
+            draw: points
+                ? attrs => `<polygon points="${points.map(point => point.join(',')).join(' ')}" ${attrs}/>`
+                : attrs => type.draw(geometry, attrs)
+        };
+    }
+
+    SHAPE_DEFINITIONS.forEach(registerShape);
+
     /**
-     * Get all available shape names
+     * Get all available shape names, optionally only those introduced
+     * up to a difficulty level
+     * @param {number} [maxLevel=Infinity]
      * @returns {string[]}
      */
-    function getShapeNames() {
-        return Object.keys(SHAPES);
+    function getShapeNames(maxLevel = Infinity) {
+        return Object.keys(SHAPES).filter(name => SHAPES[name].level <= maxLevel);
     }
 
     /**
@@ -95,13 +468,135 @@ const ShapeRenderer = (function() {
         return Object.keys(SIZES);
     }
 
+    /**
+     * Get color names used for question targets
+     * (white and black are reserved for contrast)
+     * @returns {string[]}
+     */
+    function getPlayableColorNames() {
+        return getColorNames().filter(c => c !== 'white' && c !== 'black');
+    }
+
     /**
      * Get color hex value
      * @param {string} colorName 
      * @returns {string}
      */
     function getColorHex(colorName) {
-        return COLORS[colorName] || COLORS.blue;
+        const palette = displayOptions.colorblindPalette ? SAFE_COLORS : COLORS;
+        return palette[colorName] || palette.blue;
+    }
+
+    /**
+     * Set how colors are drawn and described. Color names are unchanged either way.
+     * @param {Object} options
+     * @param {boolean} [options.colorblindPalette] - Use SAFE_COLORS instead of COLORS
+     * @param {boolean} [options.patternFills] - Draw COLOR_PATTERNS over the colors
+     * @param {boolean} [options.translateWords] - Describe shapes with the locale pack's
+     *   words for shapes, colors and sizes instead of the English ones
+     */
+    function setDisplayOptions(options) {
+        Object.keys(displayOptions).forEach(key => {
+            if (options[key] !== undefined) displayOptions[key] = Boolean(options[key]);
+        });
+    }
+
+    /**
+     * Mix a hex color with white
+     * @param {string} hex - e.g. '#E74C3C'
+     * @param {number} amount - 0 (unchanged) to 1 (white)
+     * @returns {string}
+     */
+    function lighten(hex, amount) {
+        const channels = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+        return `rgb(${channels.map(c => Math.round(c + (255 - c) * amount)).join(', ')})`;
+    }
+
+    /**
+     * Get the SVG fill for a color, with its pattern definition when pattern fills are on.
+     * Pattern fills tell colors apart, so they win over a gradient or texture.
+     * @param {string} colorName
+     * @param {'solid'|'gradient'|'texture'} [fillStyle='solid']
+     * @returns {{fill: string, defs: string}}
+     */
+    function getColorFill(colorName, fillStyle = 'solid') {
+        const hex = getColorHex(colorName);
+        const pattern = displayOptions.patternFills && PATTERNS[COLOR_PATTERNS[colorName]];
+        if (!pattern && !FILL_STYLES.includes(fillStyle)) return { fill: hex, defs: '' };
+
+        const id = `shape-pattern-${++patternCount}`;
+        let definition;
+        if (pattern) {
+            definition = pattern(id, hex, PATTERN_MARK);
+        } else if (fillStyle === 'gradient') {
+            definition = `
+            <linearGradient id="${id}" x1="0" y1="0" x2="0" y2="1">
+                <stop offset="0" stop-color="${lighten(hex, 0.5)}"/>
+                <stop offset="1" stop-color="${hex}"/>
+            </linearGradient>`;
+        } else {
+            definition = PATTERNS.dots(id, hex, TEXTURE_MARK);
+        }
+        return {
+            fill: `url(#${id})`,
+            defs: `<defs>${definition}</defs>`
+        };
+    }
+
+    /**
+     * Multiply two SVG transform matrices [a, b, c, d, e, f]; the second is applied first
+     * @param {number[]} m
+     * @param {number[]} n
+     * @returns {number[]}
+     */
+    function multiplyMatrices([a1, b1, c1, d1, e1, f1], [a2, b2, c2, d2, e2, f2]) {
+        return [
+            a1 * a2 + c1 * b2, b1 * a2 + d1 * b2,
+            a1 * c2 + c1 * d2, b1 * c2 + d1 * d2,
+            a1 * e2 + c1 * f2 + e1, b1 * e2 + d1 * f2 + f1
+        ];
+    }
+
+    /**
+     * Transform for a variation: skew about the bottom edge (so a triangle's top
+     * slides sideways), then stretch and rotate about the middle of the shape
+     * @param {number[]} bounds - [x, y, width, height]
+     * @param {{rotation?: number, stretch?: number, skew?: number}} variation
+     * @returns {number[]|null} SVG matrix, null when the shape is drawn as it is
+     */
+    function getVariationMatrix([x, y, width, height], { rotation = 0, stretch = 1, skew = 0 }) {
+        if (!rotation && stretch === 1 && !skew) return null;
+
+        const cx = x + width / 2;
+        const cy = y + height / 2;
+        const slant = Math.tan(skew * Math.PI / 180);
+        const angle = rotation * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+
+        const skewMatrix = [1, 0, -slant, 1, slant * (y + height), 0];
+        const stretchMatrix = [stretch, 0, 0, 1, cx * (1 - stretch), 0];
+        const rotateMatrix = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+        return multiplyMatrices(rotateMatrix, multiplyMatrices(stretchMatrix, skewMatrix));
+    }
+
+    /**
+     * ViewBox that fits a shape after a transform: around its transformed
+     * corners, or the corners of its bounds for curved shapes
+     * @param {Object} geometry - Entry of SHAPES
+     * @param {number[]} matrix
+     * @returns {number[]} [x, y, width, height]
+     */
+    function getTransformedViewBox(geometry, matrix) {
+        const [x, y, width, height] = geometry.bounds;
+        const corners = geometry.points || [[x, y], [x + width, y], [x + width, y + height], [x, y + height]];
+        const [a, b, c, d, e, f] = matrix;
+        const xs = corners.map(([px, py]) => a * px + c * py + e);
+        const ys = corners.map(([px, py]) => b * px + d * py + f);
+        const left = Math.min(...xs) - VARIATION_PADDING;
+        const top = Math.min(...ys) - VARIATION_PADDING;
+        return [left, top, Math.max(...xs) + VARIATION_PADDING - left, Math.max(...ys) + VARIATION_PADDING - top]
+            .map(value => Math.round(value * 10) / 10);
     }
 
     /**
@@ -122,93 +617,238 @@ const ShapeRenderer = (function() {
         return SHAPES[shapeName]?.displayName || shapeName;
     }
 
+    /**
+     * Get shape display name for more than one, e.g. "Triangles"
+     * @param {string} shapeName 
+     * @returns {string}
+     */
+    function getShapePluralName(shapeName) {
+        return SHAPES[shapeName]?.pluralName || `${getShapeDisplayName(shapeName)}s`;
+    }
+
+    /**
+     * Sides, corners and symmetry of a shape
+     * @param {string} shapeName 
+     * @returns {{sides: number, curvedSides: number, corners: number, symmetryLines: number}|null}
+     *   Null when the shape was registered without them
+     */
+    function getShapeProperties(shapeName) {
+        const properties = SHAPES[shapeName]?.properties;
+        return properties ? { ...properties } : null;
+    }
+
+    /**
+     * Difficulty level a shape is introduced at
+     * @param {string} shapeName 
+     * @returns {number}
+     */
+    function getShapeLevel(shapeName) {
+        return SHAPES[shapeName]?.level || 1;
+    }
+
+    /**
+     * Get all scene names
+     * @returns {string[]}
+     */
+    function getSceneNames() {
+        return Object.keys(SCENES);
+    }
+
+    /**
+     * Describe a shape in the active locale pack, e.g. "big red star"
+     * @param {string} shapeName
+     * @param {string} colorName
+     * @param {string} sizeName
+     * @param {string[]} [hidden=[]] - Attributes to leave out ('shape', 'color', 'size'),
+     *   so the description does not give away the answer. A hidden shape is
+     *   described by its clue instead of its name, unless 'clue' is hidden too
+     *   (the clue is the answer when the question is about sides or corners).
+     * @returns {string}
+     */
+    function describeShape(shapeName, colorName, sizeName, hidden = []) {
+        const words = {
+            size: hidden.includes('size') ? '' : describeWord('size', sizeName, getSizeDisplayName(sizeName).toLowerCase()),
+            color: hidden.includes('color') ? '' : describeWord('color', colorName, colorName),
+            shape: hidden.includes('shape') ? LocalePacks.text('describe.hiddenShape') : describeWord('shape', shapeName, shapeName)
+        };
+        // Each language orders the words its own way, e.g. "big red star" or "estrella de color rojo"
+        const description = LocalePacks.list('describe.order')
+            .filter(key => words[key])
+            .map(key => LocalePacks.text(`describe.${key}`, { [key]: words[key] }))
+            .join(' ');
+
+        const clue = hidden.includes('shape') && !hidden.includes('clue') && (LocalePacks.word('clue', shapeName) || SHAPES[shapeName]?.clue);
+        return clue ? LocalePacks.text('describe.clue', { description, clue }) : description;
+    }
+
+    /**
+     * A word in a description: the locale pack's word when words are
+     * translated (see setDisplayOptions), otherwise the English one
+     * @param {string} category - 'shape', 'color', 'size', 'scene' or 'part'
+     * @param {string} key
+     * @param {string} english
+     * @returns {string}
+     */
+    function describeWord(category, key, english) {
+        return (displayOptions.translateWords && LocalePacks.word(category, key)) || english;
+    }
+
+    /**
+     * Describe a scene part by part, e.g. "house: red triangle (roof), ...".
+     * Hidden shapes are described by their clues, as in describeShape.
+     * @param {string} sceneName
+     * @param {string[]} [hidden=[]] - Attributes to leave out ('shape', 'color')
+     * @returns {string}
+     */
+    function describeScene(sceneName, hidden = []) {
+        const scene = SCENES[sceneName];
+        const parts = scene.parts.map(part => LocalePacks.text('describe.scenePart', {
+            description: describeShape(part.shape, part.color, null, ['size', ...hidden]),
+            part: describeWord('part', part.name, part.name)
+        }));
+        return LocalePacks.text('describe.scene', {
+            scene: describeWord('scene', sceneName, scene.name),
+            parts: parts.join(', ')
+        });
+    }
+
+    /**
+     * Escape text for use in an HTML attribute or element
+     * @param {string} text
+     * @returns {string}
+     */
+    function escapeAttribute(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    /**
+     * Where a shape is drawn: its viewBox, and its size in pixels at the
+     * scale of its size name (100 viewBox units high = the size's pixels)
+     * @param {string} shapeName
+     * @param {string} sizeName
+     * @param {Object} [variation={}] - See createShapeSVG
+     * @returns {{geometry: Object, matrix: number[]|null, viewBox: number[], width: number, height: number}}
+     */
+    function getShapeFrame(shapeName, sizeName, variation = {}) {
+        const size = Math.round(BASE_SIZE * (SIZES[sizeName] || SIZES.medium).multiplier);
+        const geometry = SHAPES[shapeName] || SHAPES.circle;
+        const matrix = getVariationMatrix(geometry.bounds, variation);
+        const viewBox = matrix ? getTransformedViewBox(geometry, matrix) : [0, 0, geometry.width, 100];
+        return {
+            geometry,
+            matrix,
+            viewBox,
+            width: Math.round(size * viewBox[2] / 100),
+            height: Math.round(size * viewBox[3] / 100)
+        };
+    }
+
     /**
      * Generate SVG for a specific shape
      * @param {string} shapeName - Name of the shape
      * @param {string} colorName - Name of the color
      * @param {string} sizeName - Name of the size
      * @param {boolean} highlight - Whether to add highlight effect
+     * @param {string} [description] - Accessible description (defaults to describeShape)
+     * @param {Object} [variation={}] - How to draw the shape other than its usual way,
+     *   e.g. from getRandomVariation. Stays at the scale of the size either way.
+     * @param {number} [variation.rotation=0] - Degrees clockwise
+     * @param {number} [variation.stretch=1] - Width relative to the usual drawing
+     * @param {number} [variation.skew=0] - Degrees the top slides sideways
+     * @param {boolean} [variation.outline=false] - Draw only the outline in the color
+     * @param {'solid'|'gradient'|'texture'} [variation.fill='solid']
      * @returns {string} SVG element as HTML string
      */
-    function createShapeSVG(shapeName, colorName, sizeName, highlight = false) {
-        const color = COLORS[colorName] || COLORS.blue;
-        const sizeData = SIZES[sizeName] || SIZES.medium;
-        const size = Math.round(BASE_SIZE * sizeData.multiplier);
+    function createShapeSVG(shapeName, colorName, sizeName, highlight = false,
+                            description = describeShape(shapeName, colorName, sizeName), variation = {}) {
+        const { fill, defs } = getColorFill(colorName, variation.fill);
+        const { geometry, matrix, viewBox, width, height } = getShapeFrame(shapeName, sizeName, variation);
         
         // Determine if shape needs stroke (for white shapes)
         const needsStroke = colorName === 'white';
         const strokeAttr = needsStroke ? 'stroke="#DEE2E6" stroke-width="2"' : '';
+        // Outlines keep their width however the shape is stretched, and may spill past the edge
+        const paintAttrs = variation.outline
+            ? `fill="none" stroke="${fill}" stroke-width="${OUTLINE_WIDTH}" stroke-linejoin="round" vector-effect="non-scaling-stroke"`
+            : `fill="${fill}" ${strokeAttr}`;
+        const overflowAttr = variation.outline ? 'overflow="visible"' : '';
         const shadowFilter = highlight ? 'filter: drop-shadow(0 0 10px rgba(61, 216, 230, 0.6));' : '';
         
-        let svgContent = '';
+        // Screen readers announce the SVG as one image with this description
+        const a11yAttrs = `role="img" aria-label="${escapeAttribute(description)}"`;
+        const titleTag = `<title>${escapeAttribute(description)}</title>`;
         
-        switch (shapeName) {
-            case 'circle':
-                svgContent = `
-                    <svg width="${size}" height="${size}" viewBox="0 0 100 100" class="shape-item ${highlight ? 'highlight' : ''}" style="${shadowFilter}">
-                        <circle cx="50" cy="50" r="45" fill="${color}" ${strokeAttr}/>
-                    </svg>
-                `;
-                break;
-                
-            case 'square':
-                svgContent = `
-                    <svg width="${size}" height="${size}" viewBox="0 0 100 100" class="shape-item ${highlight ? 'highlight' : ''}" style="${shadowFilter}">
-                        <rect x="10" y="10" width="80" height="80" fill="${color}" ${strokeAttr}/>
-                    </svg>
-                `;
-                break;
-                
-            case 'triangle':
-                svgContent = `
-                    <svg width="${size}" height="${size}" viewBox="0 0 100 100" class="shape-item ${highlight ? 'highlight' : ''}" style="${shadowFilter}">
-                        <polygon points="50,10 90,90 10,90" fill="${color}" ${strokeAttr}/>
-                    </svg>
-                `;
-                break;
-                
-            case 'rectangle':
-                svgContent = `
-                    <svg width="${Math.round(size * 1.4)}" height="${size}" viewBox="0 0 140 100" class="shape-item ${highlight ? 'highlight' : ''}" style="${shadowFilter}">
-                        <rect x="10" y="15" width="120" height="70" fill="${color}" ${strokeAttr}/>
-                    </svg>
-                `;
-                break;
-                
-            case 'oval':
-                svgContent = `
-                    <svg width="${Math.round(size * 1.3)}" height="${size}" viewBox="0 0 130 100" class="shape-item ${highlight ? 'highlight' : ''}" style="${shadowFilter}">
-                        <ellipse cx="65" cy="50" rx="55" ry="40" fill="${color}" ${strokeAttr}/>
-                    </svg>
-                `;
-                break;
-                
-            case 'star':
-                // 5-pointed star
-                svgContent = `
-                    <svg width="${size}" height="${size}" viewBox="0 0 100 100" class="shape-item ${highlight ? 'highlight' : ''}" style="${shadowFilter}">
-                        <polygon points="50,5 61,40 98,40 68,60 79,95 50,75 21,95 32,60 2,40 39,40" fill="${color}" ${strokeAttr}/>
-                    </svg>
-                `;
-                break;
-                
-            case 'hexagon':
-                svgContent = `
-                    <svg width="${size}" height="${size}" viewBox="0 0 100 100" class="shape-item ${highlight ? 'highlight' : ''}" style="${shadowFilter}">
-                        <polygon points="50,5 93,27.5 93,72.5 50,95 7,72.5 7,27.5" fill="${color}" ${strokeAttr}/>
-                    </svg>
-                `;
-                break;
-                
-            default:
-                svgContent = `
-                    <svg width="${size}" height="${size}" viewBox="0 0 100 100" class="shape-item">
-                        <circle cx="50" cy="50" r="45" fill="${color}" ${strokeAttr}/>
-                    </svg>
-                `;
-        }
+        const drawing = matrix
+            ? `<g transform="matrix(${matrix.map(value => Math.round(value * 1000) / 1000).join(' ')})">${geometry.draw(paintAttrs)}</g>`
+            : geometry.draw(paintAttrs);
         
-        return svgContent.trim();
+        return `
+            <svg width="${width}" height="${height}" viewBox="${viewBox.join(' ')}" ${overflowAttr} class="shape-item ${highlight ? 'highlight' : ''}" style="${shadowFilter}" ${a11yAttrs}>
+                ${titleTag}${defs}
+                ${drawing}
+            </svg>
+        `.trim();
+    }
+
+    /**
+     * Generate SVG for a scene, each part drawn from its shape's geometry
+     * stretched to the part's box
+     * @param {string} sceneName - Key of SCENES
+     * @param {string} [description] - Accessible description (defaults to describeScene)
+     * @returns {string} SVG element as HTML string
+     */
+    function createSceneSVG(sceneName, description = describeScene(sceneName)) {
+        const scene = SCENES[sceneName];
+        const parts = scene.parts.map(part => {
+            const geometry = SHAPES[part.shape] || SHAPES.circle;
+            const { fill, defs } = getColorFill(part.color);
+            // Keep the outline of white parts even when the part is stretched
+            const strokeAttr = part.color === 'white'
+                ? 'stroke="#DEE2E6" stroke-width="2" vector-effect="non-scaling-stroke"'
+                : '';
+            return `
+                <svg x="${part.x}" y="${part.y}" width="${part.width}" height="${part.height}" viewBox="${geometry.bounds.join(' ')}" preserveAspectRatio="none">
+                    ${defs}${geometry.draw(`fill="${fill}" ${strokeAttr}`)}
+                </svg>`;
+        });
+        
+        return `
+            <svg width="${scene.width}" height="${scene.height}" viewBox="0 0 ${scene.width} ${scene.height}" class="shape-item shape-scene" role="img" aria-label="${escapeAttribute(description)}">
+                <title>${escapeAttribute(description)}</title>
+                ${parts.join('')}
+            </svg>
+        `.trim();
+    }
+
+    /**
+     * Width and height in pixels of the gap in a sequence
+     * @param {string} [sizeName='medium']
+     * @returns {number}
+     */
+    function getBlankSize(sizeName = 'medium') {
+        return Math.round(BASE_SIZE * (SIZES[sizeName] || SIZES.medium).multiplier);
+    }
+
+    /**
+     * Generate SVG for the gap in a sequence: a dashed box with a question mark
+     * @param {string} [sizeName='medium']
+     * @param {string} [description] - Accessible description (defaults to the locale pack's)
+     * @returns {string} SVG element as HTML string
+     */
+    function createBlankSVG(sizeName = 'medium', description = LocalePacks.text('describe.blank')) {
+        const size = getBlankSize(sizeName);
+        
+        return `
+            <svg width="${size}" height="${size}" viewBox="0 0 100 100" class="shape-item shape-blank" role="img" aria-label="${escapeAttribute(description)}">
+                <title>${escapeAttribute(description)}</title>
+                <rect x="8" y="8" width="84" height="84" rx="12" fill="none" stroke="#ADB5BD" stroke-width="4" stroke-dasharray="10 8"/>
+                <text x="50" y="66" text-anchor="middle" font-size="48" font-weight="700" fill="#ADB5BD">?</text>
+            </svg>
+        `.trim();
     }
 
     /**
@@ -228,73 +868,477 @@ const ShapeRenderer = (function() {
     }
 
     /**
-     * Render multiple shapes to a container
+     * Keys that tell which shapes of the last question are still on the stage:
+     * a shape's own key, or its name, color and size numbered among equal shapes
+     * @param {Object[]} shapes
+     * @returns {string[]}
+     */
+    function getShapeKeys(shapes) {
+        const seen = {};
+        return shapes.map(shape => {
+            const base = shape.key || (shape.blank ? 'blank' : `${shape.shape}-${shape.color}-${shape.size}`);
+            seen[base] = (seen[base] || 0) + 1;
+            return `${base}-${seen[base]}`;
+        });
+    }
+
+    /**
+     * Whether the learner's system asks for less motion
+     * @returns {boolean}
+     */
+    function prefersReducedMotion() {
+        return typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    /**
+     * Slots of the shapes currently on the stage, in shape order: groups in
+     * the stage's drawing, or HTML boxes over it when the shapes are buttons
+     * @param {HTMLElement} container - Container passed to renderShapes
+     * @returns {Array<SVGGElement|HTMLDivElement>}
+     */
+    function getSlots(container) {
+        return [...container.querySelectorAll(
+            '.shape-stage-art > .shape-slot:not(.shape-exit), .shape-stage > .shape-slot:not(.shape-exit)'
+        )];
+    }
+
+    /**
+     * Whether a slot is an HTML box over the stage's drawing (see renderShapes)
+     * rather than a group in it
+     * @param {Element} slot
+     * @returns {boolean}
+     */
+    function isHtmlSlot(slot) {
+        return slot.namespaceURI !== SVG_NS;
+    }
+
+    /**
+     * Stop a count that is still running
+     */
+    function cancelCount() {
+        countTimers.forEach(clearTimeout);
+        countTimers = [];
+    }
+
+    /**
+     * Fade out a shape that left the stage, then remove it. Only its drawing
+     * stays meanwhile, so its button no longer counts as an answer.
+     * @param {SVGGElement|HTMLDivElement} slot
+     */
+    function exitSlot(slot) {
+        const drawing = slot.querySelector('.shape-item');
+        const ghost = isHtmlSlot(slot)
+            ? document.createElement('div')
+            : document.createElementNS(SVG_NS, 'g');
+        ghost.setAttribute('class', 'shape-slot-content');
+        // The drawing keeps its place inside the button it leaves behind
+        if (slot.querySelector('.shape-choice')) ghost.style.padding = `${CHOICE_CHROME / 2}px`;
+        if (drawing) ghost.appendChild(drawing);
+        
+        slot.replaceChildren(ghost);
+        slot.classList.add('shape-exit');
+        slot.classList.remove('shape-wrapper', 'shape-enter', 'shape-counted');
+        slot.removeAttribute('role');
+        slot.setAttribute('aria-hidden', 'true');
+        
+        if (prefersReducedMotion()) {
+            slot.remove();
+        } else {
+            setTimeout(() => slot.remove(), EXIT_DURATION);
+        }
+    }
+
+    /**
+     * Slots that can stay where they are in the DOM: the longest run of
+     * kept slots whose old order matches the new one
+     * @param {Element[]} slots - Slots in their new order
+     * @param {Element[]} oldSlots - Slots in their old order
+     * @returns {Set<Element>}
+     */
+    function getSteadySlots(slots, oldSlots) {
+        const positions = slots.map(slot => oldSlots.indexOf(slot));
+        // Length of the longest run ending at each kept slot, and the slot before it in that run
+        const lengths = [];
+        const before = [];
+        let last = -1;
+        positions.forEach((position, index) => {
+            if (position < 0) return;
+            lengths[index] = 1;
+            before[index] = -1;
+            for (let other = 0; other < index; other++) {
+                if (positions[other] >= 0 && positions[other] < position && lengths[other] + 1 > lengths[index]) {
+                    lengths[index] = lengths[other] + 1;
+                    before[index] = other;
+                }
+            }
+            if (last < 0 || lengths[index] > lengths[last]) last = index;
+        });
+        
+        const steady = new Set();
+        for (let index = last; index >= 0; index = before[index]) {
+            steady.add(slots[index]);
+        }
+        return steady;
+    }
+
+    /**
+     * Render multiple shapes to a container, placed on one stage by ShapeLayout.
+     * The stage keeps every shape at its own size and shrinks as a whole to fit.
+     * Shapes are drawn in the stage's SVG; shape buttons are HTML boxes placed
+     * over it instead, each with its own drawing, as buttons inside SVG
+     * (foreignObject) misbehave in WebKit.
+     * The stage stays from one call to the next: shapes with the same key
+     * (see getShapeKeys) move to their new place, new ones fade in and
+     * those left out fade out. A kept shape is only redrawn when its drawing
+     * changed; shape buttons are always drawn afresh, so they never carry
+     * over their state or listeners.
      * @param {HTMLElement} container - Container element
-     * @param {Object[]} shapes - Array of shape objects
+     * @param {Object[]} shapes - Array of shape objects, each with an optional variation
+     *   for createShapeSVG and an optional key; { blank: true } marks a gap
      * @param {number} highlightIndex - Index of shape to highlight (-1 for none)
+     * @param {string[]} [hidden=[]] - Attributes left out of the accessible descriptions
+     * @param {'none'|'single'|'multiple'|'ordered'} [selectMode='none'] - Wrap each shape in a
+     *   .shape-choice button; with 'multiple' a click toggles the .selected state,
+     *   and 'ordered' also numbers the selected shapes in the order they were tapped
+     * @param {Object|null} [layout=null] - Layout for ShapeLayout.arrange (a row when null).
+     *   In a grid, each shape goes in the cell given by its row and col (0-based);
+     *   clustered shapes are grouped by the attribute named by groupBy, e.g. 'color'.
      */
-    function renderShapes(container, shapes, highlightIndex = -1) {
+    function renderShapes(container, shapes, highlightIndex = -1, hidden = [], selectMode = 'none', layout = null) {
+        const selectable = selectMode !== 'none';
+        const grid = Boolean(layout) && layout.mode === 'grid';
+        const groupBy = layout && layout.groupBy;
+        cancelCount();
+        
+        const boxes = shapes.map(shape => {
+            const { width, height } = shape.blank
+                ? { width: getBlankSize(shape.size), height: getBlankSize(shape.size) }
+                : getShapeFrame(shape.shape, shape.size, shape.variation);
+            const chrome = selectable && !shape.blank ? CHOICE_CHROME : 0;
+            return {
+                width: width + chrome,
+                height: height + chrome,
+                row: shape.row,
+                col: shape.col,
+                group: groupBy ? shape[groupBy] : undefined
+            };
+        });
+        const arrangement = ShapeLayout.arrange(boxes, layout || {});
+        
+        // Anything else in the display (a scene, sorting boxes) belonged to the last question
+        let stage = container.querySelector(':scope > .shape-stage');
+        [...container.children].forEach(child => {
+            if (child !== stage) child.remove();
+        });
+        if (!stage) {
+            stage = document.createElement('div');
+            stage.className = 'shape-stage';
+            stage.innerHTML = `<svg class="shape-stage-art" role="presentation"></svg>`;
+            container.appendChild(stage);
+        }
+        const art = stage.querySelector('.shape-stage-art');
+        const { width, height } = arrangement;
+        stage.style.setProperty('--stage-width', `${width}px`);
+        stage.style.setProperty('--stage-aspect', width / (height || 1));
+        art.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        
+        const oldSlots = getSlots(container);
+        const previous = new Map(oldSlots.map(slot => [slot.dataset.key, slot]));
+        const keys = getShapeKeys(shapes);
+        previous.forEach((slot, key) => {
+            // A shape that turns into a button (or back) starts again in the other layer
+            if (!keys.includes(key) || isHtmlSlot(slot) !== selectable) {
+                exitSlot(slot);
+                previous.delete(key);
+            }
+        });
+        
+        const slots = shapes.map((shape, index) => {
+            const box = boxes[index];
+            const { x, y } = arrangement.positions[index];
+            
+            let slot = previous.get(keys[index]);
+            if (slot) {
+                slot.classList.remove('shape-enter', 'shape-counted');
+                slot.querySelectorAll('.shape-count-badge').forEach(badge => badge.remove());
+            } else {
+                slot = selectable ? document.createElement('div') : document.createElementNS(SVG_NS, 'g');
+                slot.setAttribute('class', 'shape-slot shape-enter');
+                slot.dataset.key = keys[index];
+            }
+            // A kept slot glides from its old place (a CSS transition on its position)
+            if (selectable) {
+                // In percent of the stage, so the buttons shrink with the drawing under them
+                slot.style.setProperty('--slot-x', `${x / width * 100}%`);
+                slot.style.setProperty('--slot-y', `${y / height * 100}%`);
+                slot.style.setProperty('--slot-width', `${box.width / width * 100}%`);
+                slot.style.setProperty('--slot-height', `${box.height / height * 100}%`);
+            } else {
+                slot.style.transform = `translate(${x}px, ${y}px)`;
+            }
+            Object.assign(slot.dataset, { x, y, width: box.width });
+            
+            let content;
+            if (shape.blank) {
+                content = createBlankSVG(shape.size);
+            } else {
+                // Screen reader users get the grid position that sighted learners see
+                const description = describeShape(shape.shape, shape.color, shape.size, hidden);
+                content = createShapeSVG(
+                    shape.shape, 
+                    shape.color, 
+                    shape.size, 
+                    index === highlightIndex,
+                    grid
+                        ? LocalePacks.text('describe.gridCell', { description, row: shape.row + 1, column: shape.col + 1 })
+                        : description,
+                    shape.variation
+                );
+            }
+            if (selectable && !shape.blank) {
+                content = `<button type="button" class="shape-choice">${content}</button>`;
+            }
+            slot.classList.add('shape-wrapper');
+            slot.setAttribute('role', 'listitem');
+            // Enter, exit and count animations scale this part, as the slot itself is placed
+            const markup = selectable
+                ? `<div class="shape-slot-content">${content}</div>`
+                : `<g class="shape-slot-content">${content}</g>`;
+            if (selectable || slotMarkup.get(slot) !== markup) {
+                slot.innerHTML = markup;
+                slotMarkup.set(slot, markup);
+            }
+            return slot;
+        });
+        
+        // Moving a slot restarts its glide, so kept slots that are still in order stay put
+        const layer = selectable ? stage : art;
+        const steady = getSteadySlots(slots, oldSlots);
+        let anchor = null;
+        for (let index = slots.length - 1; index >= 0; index--) {
+            if (!steady.has(slots[index])) layer.insertBefore(slots[index], anchor);
+            anchor = slots[index];
+        }
+        
+        if (selectMode === 'multiple' || selectMode === 'ordered') {
+            container.querySelectorAll('.shape-choice').forEach(button => {
+                button.setAttribute('aria-pressed', 'false');
+                button.addEventListener('click', () => {
+                    const selected = button.classList.toggle('selected');
+                    button.setAttribute('aria-pressed', String(selected));
+                    if (selectMode === 'ordered') {
+                        updateOrder(container, button, selected);
+                    }
+                });
+            });
+        }
+    }
+
+    /**
+     * Count shapes one at a time, left to right: each gets a numbered badge
+     * and a pulse in turn, e.g. to show the answer to a counting question.
+     * When the learner's system asks for less motion, all numbers show at once.
+     * @param {HTMLElement} container - Container passed to renderShapes
+     * @param {number[]} indexes - Indexes of the shapes to count
+     * @param {number} [stepMs=COUNT_STEP] - Time between one number and the next
+     */
+    function countShapes(container, indexes, stepMs = COUNT_STEP) {
+        cancelCount();
+        const slots = getSlots(container);
+        const counted = indexes
+            .map(index => slots[index])
+            .filter(Boolean)
+            .sort((a, b) => Number(a.dataset.x) - Number(b.dataset.x));
+        
+        const count = (slot, position) => {
+            slot.classList.add('shape-counted');
+            slot.insertAdjacentHTML('beforeend', `
+                <g class="shape-count-badge" transform="translate(${Number(slot.dataset.width) - 6} 6)" aria-hidden="true">
+                    <circle r="14"/>
+                    <text text-anchor="middle" dy="0.35em">${position + 1}</text>
+                </g>`);
+        };
+        if (prefersReducedMotion()) {
+            counted.forEach(count);
+            return;
+        }
+        counted.forEach((slot, position) => {
+            countTimers.push(setTimeout(() => count(slot, position), position * stepMs));
+        });
+    }
+
+    /**
+     * Render a scene to a container in place of separate shapes
+     * @param {HTMLElement} container - Container element
+     * @param {string} sceneName - Key of SCENES
+     * @param {string[]} [hidden=[]] - Attributes left out of the accessible description
+     */
+    function renderScene(container, sceneName, hidden = []) {
+        cancelCount();
         container.innerHTML = '';
         
-        shapes.forEach((shape, index) => {
-            const wrapper = document.createElement('div');
-            wrapper.className = 'shape-wrapper';
-            wrapper.style.display = 'inline-flex';
-            wrapper.style.margin = '8px';
-            wrapper.innerHTML = createShapeSVG(
-                shape.shape, 
-                shape.color, 
-                shape.size, 
-                index === highlightIndex
-            );
-            container.appendChild(wrapper);
+        const wrapper = document.createElement('div');
+        wrapper.className = 'shape-wrapper';
+        wrapper.setAttribute('role', 'listitem');
+        wrapper.innerHTML = createSceneSVG(sceneName, describeScene(sceneName, hidden));
+        container.appendChild(wrapper);
+    }
+
+    /**
+     * Number a newly selected shape last, or close the gap a deselected one leaves
+     * @param {HTMLElement} container
+     * @param {HTMLElement} button - The shape button just toggled
+     * @param {boolean} selected
+     */
+    function updateOrder(container, button, selected) {
+        const ordered = container.querySelectorAll('.shape-choice[data-order]');
+        if (selected) {
+            button.dataset.order = ordered.length + 1;
+            return;
+        }
+
+        const position = Number(button.dataset.order);
+        delete button.dataset.order;
+        ordered.forEach(other => {
+            if (Number(other.dataset.order) > position) {
+                other.dataset.order = Number(other.dataset.order) - 1;
+            }
+        });
+    }
+
+    /**
+     * Renumber ordered shapes, e.g. to show the right order after an answer
+     * @param {HTMLElement} container
+     * @param {function(HTMLElement, number): number} getPosition - 1-based position of the shape button at an index
+     */
+    function showOrder(container, getPosition) {
+        container.querySelectorAll('.shape-choice').forEach((button, index) => {
+            button.dataset.order = getPosition(button, index);
+        });
+    }
+
+    /**
+     * Mark selectable shapes after an answer: correct ones, and wrongly selected ones
+     * @param {HTMLElement} container - Container passed to renderShapes
+     * @param {function(HTMLElement, number): boolean} isCorrect - Whether the shape button at an index is a right answer
+     */
+    function markShapes(container, isCorrect) {
+        container.querySelectorAll('.shape-choice').forEach((button, index) => {
+            if (isCorrect(button, index)) {
+                button.classList.add('correct');
+            } else if (button.classList.contains('selected')) {
+                button.classList.add('incorrect');
+            }
         });
     }
 
+    /**
+     * Indexes of the shapes currently selected, in tapping order for
+     * 'ordered' selection and display order otherwise
+     * @param {HTMLElement} container - Container passed to renderShapes
+     * @returns {number[]}
+     */
+    function getSelectedIndexes(container) {
+        const buttons = [...container.querySelectorAll('.shape-choice')];
+        const position = index => Number(buttons[index].dataset.order) || 0;
+        return buttons
+            .map((button, index) => (button.classList.contains('selected') ? index : -1))
+            .filter(index => index !== -1)
+            .sort((a, b) => position(a) - position(b));
+    }
+
     /**
      * Get a random shape name
+     * @param {function(): number} [random=Math.random] - Random source returning [0, 1)
+     * @param {string[]} [shapes] - Names to choose from (defaults to all)
      * @returns {string}
      */
-    function getRandomShape() {
-        const shapes = getShapeNames();
-        return shapes[Math.floor(Math.random() * shapes.length)];
+    function getRandomShape(random = Math.random, shapes = getShapeNames()) {
+        return shapes[Math.floor(random() * shapes.length)];
     }
 
     /**
      * Get a random color name
+     * @param {function(): number} [random=Math.random] - Random source returning [0, 1)
+     * @param {string[]} [colors] - Names to choose from (defaults to all playable colors)
      * @returns {string}
      */
-    function getRandomColor() {
-        const colors = getColorNames().filter(c => c !== 'white' && c !== 'black');
-        return colors[Math.floor(Math.random() * colors.length)];
+    function getRandomColor(random = Math.random, colors = getPlayableColorNames()) {
+        return colors[Math.floor(random() * colors.length)];
     }
 
     /**
      * Get a random size name
+     * @param {function(): number} [random=Math.random] - Random source returning [0, 1)
+     * @param {string[]} [sizes] - Names to choose from (defaults to all)
      * @returns {string}
      */
-    function getRandomSize() {
-        const sizes = getSizeNames();
-        return sizes[Math.floor(Math.random() * sizes.length)];
+    function getRandomSize(random = Math.random, sizes = getSizeNames()) {
+        return sizes[Math.floor(random() * sizes.length)];
+    }
+
+    /**
+     * Get a random way to draw a shape other than its usual way. Each kind
+     * allowed is used half of the time, within the shape's own variations.
+     * @param {function(): number} random - Random source returning [0, 1)
+     * @param {string} shapeName
+     * @param {('rotation'|'reshape'|'outline'|'fill')[]} kinds - Kinds of variation allowed
+     * @returns {Object} Variation for createShapeSVG; empty for the usual drawing
+     */
+    function getRandomVariation(random, shapeName, kinds) {
+        const { rotations, stretches, skews } = (SHAPES[shapeName] || SHAPES.circle).variations;
+        const pickFrom = list => list[Math.floor(random() * list.length)];
+        const use = (kind, list = [true]) => kinds.includes(kind) && list.length > 0 && random() < 0.5;
+        const variation = {};
+        
+        if (use('rotation', rotations)) variation.rotation = pickFrom(rotations);
+        if (use('reshape', stretches)) variation.stretch = pickFrom(stretches);
+        if (use('reshape', skews)) variation.skew = pickFrom(skews);
+        if (use('outline')) {
+            variation.outline = true;
+        } else if (use('fill')) {
+            variation.fill = pickFrom(FILL_STYLES);
+        }
+        return variation;
     }
 
     // Public API
     return {
         SHAPES,
+        SCENES,
         COLORS,
+        SAFE_COLORS,
+        COLOR_PATTERNS,
         SIZES,
         getShapeNames,
         getColorNames,
         getSizeNames,
+        getPlayableColorNames,
         getColorHex,
+        setDisplayOptions,
         getSizeDisplayName,
         getShapeDisplayName,
+        getShapePluralName,
+        getShapeLevel,
+        getShapeProperties,
+        registerShape,
+        getSceneNames,
+        describeShape,
+        describeScene,
         createShapeSVG,
+        createSceneSVG,
+        createBlankSVG,
         createShapeObject,
         renderShapes,
+        renderScene,
+        countShapes,
+        markShapes,
+        showOrder,
+        getSelectedIndexes,
         getRandomShape,
         getRandomColor,
-        getRandomSize
+        getRandomSize,
+        getRandomVariation
     };
 })();
 